@@ -5,12 +5,32 @@ import fs from 'fs';
 import readline from 'readline';
 
 import {
-  ensureServerScaffold, getServerPaths, listServers, readServerConfig, writeServerConfig,
-  deleteServer, listSubreddits, upsertSubreddit, deleteSubreddit, defaultServerConfig,
+  ensureServerScaffold, listServers, readServerConfig, updateServerConfig,
+  deleteServer, listSubreddits, upsertSubreddit, updateSubreddit, deleteSubreddit, defaultServerConfig,
   findServersWithSubreddit, getSubredditFromServer,
-  listQueue, enqueueTemplate, dequeueTemplate, slugifyName
+  listQueue, enqueueTemplate, dequeueTemplate, slugifyName,
+  listSchedules, addSchedule, updateSchedule, removeSchedule, listScheduleHistory, scheduleState,
+  loadStorageBackend, upsertAccount, deleteAccount, listPostedRecords
 } from '../lib/store.js';
-import { listLinkFlairs } from '../lib/reddit.js';
+import { listLinkFlairs, getToken, fetchMe, forgetToken, fetchPostRequirements } from '../lib/reddit.js';
+import {
+  listAccounts, findAccount, accountForServer, normalizeAccount, publicAccount, DEFAULT_ACCOUNT_KEY
+} from '../lib/accounts.js';
+import {
+  OAUTH_REDIRECT_URI, OAUTH_SCOPES, newOAuthState, authorizeUrl, waitForAuthorizationCode, exchangeAuthorizationCode
+} from '../lib/oauth.js';
+import { normalizeRules, cooldownMs, formatDuration, parseDuration, withCooldown } from '../lib/rules.js';
+import {
+  normalizeRecurrence, nextRecurrenceMs, describeRecurrence, defaultTimeZone, isValidTimeZone, parseCron
+} from '../lib/cron.js';
+import { buildSchedulePatch } from '../lib/schedules.js';
+import { BUILTIN_VARIABLES, isValidVariableName, usesVariable, templateVariables, renderPost } from '../lib/templates.js';
+import { VARIANT_STRATEGIES, variantStrategy, variantStats, nextVariantId, hasVariants } from '../lib/variants.js';
+import { subredditStats, CHECKPOINT_HOURS } from '../lib/stats.js';
+import { serverMediaDir, listMediaFiles, GALLERY_MIN_ITEMS, GALLERY_MAX_ITEMS } from '../lib/media.js';
+import { POST_REQUIREMENTS_ENABLED, requirementProblems } from '../lib/requirements.js';
+import { monitorSettings, normalizeMonitor } from '../lib/monitor.js';
+import { normalizeRemovalPolicy, describeRemovalPolicy, REMOVAL_STATE_FIELDS, withoutRemovalState } from '../lib/removal.js';
 import { resolveCallbackHost } from '../lib/network.js';
 
 const DATA_DIR = path.resolve(process.env.CRYER_DATA_DIR || './data');
@@ -31,6 +51,14 @@ if (subcommand === 'logs') {
   await logsUI();
   process.exit(0);
 }
+// `node cli/cryerctl.mjs migrate [--from <json data dir>]`: import into <data>/cryer.db
+if (subcommand === 'migrate') {
+  process.exit(await migrateCommand(process.argv.slice(3)));
+}
+// `node cli/cryerctl.mjs auth [account key]`: browser authorization, stores a refresh token
+if (subcommand === 'auth') {
+  process.exit(await authorizeAccountFlow(process.argv[3]) ? 0 : 1);
+}
 
 async function mainMenu() {
   while (true) {
@@ -45,6 +73,7 @@ async function mainMenu() {
         { title: 'Sync servers from Squire (optional)', value: 'sync' },
                                      { title: 'Select a server', value: 'edit' },
                                      { title: 'Post advertisements for ALL servers (now)', value: 'post-all' },
+                                     { title: 'Reddit accounts', value: 'accounts' },
                                      { title: 'Delete a server', value: 'delete' },
                                      { title: 'View logs', value: 'logs' },
                                      { title: 'Exit', value: 'exit' }
@@ -56,6 +85,7 @@ async function mainMenu() {
     if (action === 'sync') await syncServersFromSquire();
     if (action === 'edit') await selectServerMenu();
     if (action === 'post-all') await postAllServers();
+    if (action === 'accounts') await accountsMenu();
     if (action === 'delete') await deleteServerAction();
     if (action === 'logs') await logsUI();
   }
@@ -156,51 +186,187 @@ async function selectServerMenu() {
       message: `Server: ${serverKey}`,
       choices: [
         { title: 'Defaults (title, invite, body)', value: 'defaults' },
+                                     { title: 'Template variables', value: 'variables' },
+                                     { title: `Reddit account (${readServerConfig(DATA_DIR, serverKey).account || DEFAULT_ACCOUNT_KEY})`, value: 'account' },
                                      { title: 'Add a subreddit', value: 'add-sub' },
                                      { title: 'Select a subreddit', value: 'sel-sub' },
                                      { title: 'List subreddits', value: 'list-subs' },
                                      { title: 'Delete a subreddit', value: 'del-sub' },
                                      { title: 'Review queue (customize templates)', value: 'queue' },
                                      { title: 'Post advertisements now (via local API)', value: 'post-now' },
+                                     { title: 'Schedules (recurring posting)', value: 'schedules' },
+                                     { title: 'Performance report (per subreddit)', value: 'report' },
+                                     { title: 'Removal monitor (check interval, tracking period)', value: 'monitor' },
                                      { title: 'Go back', value: 'back' }
       ]
     });
     if (!choice || choice === 'back') return;
     if (choice === 'defaults') await editServerDefaults(serverKey);
+    if (choice === 'variables') await editServerVariables(serverKey);
+    if (choice === 'account') await pickServerAccount(serverKey);
     if (choice === 'add-sub') await addSubredditFlow(serverKey);
     if (choice === 'sel-sub') await selectSubredditFlow(serverKey);
     if (choice === 'list-subs') await listSubredditsAction(serverKey);
     if (choice === 'del-sub') await deleteSubredditAction(serverKey);
     if (choice === 'queue') await reviewQueueFlow(serverKey);
     if (choice === 'post-now') await postNow(serverKey);
+    if (choice === 'schedules') await schedulesMenu(serverKey);
+    if (choice === 'report') await performanceReport(serverKey);
+    if (choice === 'monitor') await editMonitorSettings(serverKey);
   }
 }
 
+// Flairs as the server's posting account sees them.
+function flairsFor(serverKey, subreddit) {
+  return listLinkFlairs(subreddit, accountForServer(DATA_DIR, serverKey));
+}
+
+async function pickServerAccount(serverKey) {
+  const accounts = listAccounts(DATA_DIR);
+  if (!accounts.length) { console.log('No Reddit accounts. Add one under "Reddit accounts" or set REDDIT_* in .env.'); return; }
+  const current = readServerConfig(DATA_DIR, serverKey).account || DEFAULT_ACCOUNT_KEY;
+  const { key } = await prompts({
+    type: 'select',
+    name: 'key',
+    message: `Post ${serverKey} from`,
+    choices: accounts.map(a => ({ title: accountLabel(a), value: a.key })),
+    initial: Math.max(accounts.findIndex(a => a.key === current), 0)
+  });
+  if (!key) return;
+  updateServerConfig(DATA_DIR, serverKey, cfg => {
+    if (key === DEFAULT_ACCOUNT_KEY) delete cfg.account; else cfg.account = key;
+  });
+  console.log(`✔ ${serverKey} posts from ${key}`);
+}
+
 async function editServerDefaults(serverKey) {
   const cfg = readServerConfig(DATA_DIR, serverKey);
   const d = cfg.defaults || defaultServerConfig(serverKey).defaults;
 
   const ans = await prompts([
-    { type: 'text', name: 'title',  message: 'Default post title', initial: d.title },
+    { type: 'text', name: 'title',  message: 'Default post title ({{variables}} and {a|b} spintax work)', initial: d.title },
     { type: 'text', name: 'invite', message: 'Default permanent invite URL', initial: d.invite },
-    { type: 'text', name: 'body',   message: 'Default body (self posts). For link posts, the URL will be the invite.', initial: d.body }
+    { type: 'text', name: 'body',   message: 'Default body (self posts; put {{invite}} where the invite goes, else it is appended). For link posts, the URL will be the invite.', initial: d.body },
+    { type: 'text', name: 'guildId', message: 'Discord server (guild) id the invite must lead to (optional)', initial: cfg.guildId || '',
+      validate: v => !v.trim() || /^\d{15,21}$/.test(v.trim()) || 'A Discord id is 15-21 digits' }
   ]);
-  cfg.defaults = {
-    title:  ans.title  ?? d.title,
-    invite: ans.invite ?? d.invite,
-    body:   ans.body   ?? d.body
-  };
-  writeServerConfig(DATA_DIR, serverKey, cfg);
+  // re-read under the lock: the server may have updated lastAdAt while the prompts were open
+  updateServerConfig(DATA_DIR, serverKey, current => {
+    current.defaults = {
+      title:  ans.title  ?? d.title,
+      invite: ans.invite ?? d.invite,
+      body:   ans.body   ?? d.body
+    };
+    if (ans.guildId !== undefined) {
+      if (ans.guildId.trim()) current.guildId = ans.guildId.trim(); else delete current.guildId;
+    }
+  });
   console.log('✔ Saved defaults');
 }
 
+// Removal monitor cadence for this server (server.json `monitor`, lib/monitor.js).
+async function editMonitorSettings(serverKey) {
+  const current = monitorSettings(readServerConfig(DATA_DIR, serverKey));
+  console.log('Live posts are checked for removal, deletion and spam filtering every <interval> until <ttl> after posting.');
+  const ans = await prompts([
+    {
+      type: 'text', name: 'interval', message: 'Check interval (e.g. 10m, 1h)', initial: formatDuration(current.intervalMs),
+      validate: v => { try { normalizeMonitor({ interval: v }); return true; } catch (e) { return e.message; } }
+    },
+    {
+      type: 'text', name: 'ttl', message: 'Track posts for (e.g. 7d, 2w)', initial: formatDuration(current.ttlMs),
+      validate: v => { try { normalizeMonitor({ ttl: v }); return true; } catch (e) { return e.message; } }
+    }
+  ]);
+  if (ans.interval === undefined || ans.ttl === undefined) return;
+  const monitor = normalizeMonitor(ans);
+  updateServerConfig(DATA_DIR, serverKey, cfg => { cfg.monitor = monitor; });
+  console.log(`✔ Checking every ${monitor.interval} for ${monitor.ttl}`);
+}
+
+// Custom {{name}} variables for this server's titles and bodies (server.json `variables`).
+async function editServerVariables(serverKey) {
+  while (true) {
+    const vars = readServerConfig(DATA_DIR, serverKey).variables || {};
+    console.log(`Built-in: ${BUILTIN_VARIABLES.map(n => `{{${n}}}`).join(' ')}`);
+    const names = Object.keys(vars).sort();
+    if (!names.length) console.log('No custom variables.');
+    for (const n of names) console.log(`- {{${n}}} = ${vars[n]}`);
+    const { action } = await prompts({
+      type: 'select',
+      name: 'action',
+      message: 'Template variables',
+      choices: [
+        { title: 'Set a variable', value: 'set' },
+        { title: 'Delete a variable', value: 'delete', disabled: !names.length },
+        { title: 'Go back', value: 'back' }
+      ]
+    });
+    if (!action || action === 'back') return;
+    if (action === 'set') {
+      const { name } = await prompts({
+        type: 'text', name: 'name', message: 'Name (letters, digits, _)',
+        validate: v => isValidVariableName(v.trim()) || 'Use letters, digits and _, not a built-in name'
+      });
+      if (!name) continue;
+      const { value } = await prompts({ type: 'text', name: 'value', message: `Value of {{${name.trim()}}} (spintax allowed)`, initial: vars[name.trim()] || '' });
+      if (value === undefined) continue;
+      updateServerConfig(DATA_DIR, serverKey, cfg => {
+        cfg.variables = { ...(cfg.variables || {}), [name.trim()]: value };
+      });
+      console.log(`✔ Set {{${name.trim()}}}`);
+    }
+    if (action === 'delete') {
+      const { name } = await prompts({ type: 'select', name: 'name', message: 'Delete which?', choices: names.map(n => ({ title: n, value: n })) });
+      if (!name) continue;
+      updateServerConfig(DATA_DIR, serverKey, cfg => {
+        delete cfg.variables?.[name];
+        if (cfg.variables && !Object.keys(cfg.variables).length) delete cfg.variables;
+      });
+      console.log(`✔ Deleted {{${name}}}`);
+    }
+  }
+}
+
 function defaultRules() {
   return {
-    cooldownDays: 1,
+    cooldown: '1d',
     requirePermanentInvite: true
   };
 }
 
+function cooldownLabel(rules) {
+  try {
+    return formatDuration(cooldownMs(normalizeRules(rules)));
+  } catch (e) {
+    return RED(`invalid (${e.message})`);
+  }
+}
+
+const cooldownPrompt = (rules) => ({
+  type: 'text', name: 'cooldown',
+  message: 'Cooldown (e.g. 12h, 1d, 1d 12h, 90m):',
+  initial: formatDuration(cooldownMs(rules)),
+  validate: v => Number.isFinite(parseDuration(v)) || 'Use units d/h/m, e.g. "1d 12h"'
+});
+
+// Cadence + invite requirement; other rule keys are kept as they are.
+async function promptRules(r0) {
+  let rules;
+  try {
+    rules = normalizeRules(r0 || defaultRules());
+  } catch (e) {
+    console.log(RED(e.message));
+    rules = defaultRules();
+  }
+  const ans = await prompts([
+    cooldownPrompt(rules),
+    { type: 'toggle', name: 'requirePermanentInvite', message: 'Require permanent invite?', initial: rules.requirePermanentInvite !== false, active: 'yes', inactive: 'no' }
+  ]);
+  const next = ans.cooldown ? withCooldown(rules, ans.cooldown) : rules;
+  return { ...next, requirePermanentInvite: ans.requirePermanentInvite !== false };
+}
+
 function mergeDefaults(serverKey, post, providedDefaults = null) {
   let d = providedDefaults;
   if (!d) {
@@ -211,7 +377,7 @@ function mergeDefaults(serverKey, post, providedDefaults = null) {
   if (!out.title && d.title) out.title = d.title;
   if (out.type === 'self') {
     if (!out.body && d.body) out.body = d.body;
-    if (d.invite && out.body && !out.body.includes(d.invite)) out.body += `\n\n${d.invite}`;
+    if (d.invite && out.body && !out.body.includes(d.invite) && !usesVariable(out.body, 'invite')) out.body += `\n\n${d.invite}`;
     if (d.invite && !out.body) out.body = d.invite;
   } else if (out.type === 'link') {
     if (!out.url && d.invite) out.url = d.invite;
@@ -219,6 +385,102 @@ function mergeDefaults(serverKey, post, providedDefaults = null) {
   return out;
 }
 
+const POST_TYPE_CHOICES = [
+  { title: 'Self (text post with body)', value: 'self' },
+  { title: 'Link (URL post; no body)', value: 'link' },
+  { title: 'Image (a file from the server media folder)', value: 'image' },
+  { title: 'Gallery (several files from the server media folder)', value: 'gallery' },
+  { title: 'Crosspost (of another subreddit\'s post in the same session)', value: 'crosspost' }
+];
+const isMediaType = (type) => type === 'image' || type === 'gallery';
+
+function postTypePrompt(current) {
+  return {
+    type: 'select', name: 'ptype', message: 'Post type', choices: POST_TYPE_CHOICES,
+    initial: Math.max(POST_TYPE_CHOICES.findIndex(c => c.value === current), 0)
+  };
+}
+
+function postContentLine(p) {
+  if (p.type === 'crosspost') return `- crosspost of: ${p.crosspostOf || '(none)'}\n`;
+  if (p.type === 'image') return `- image: ${p.image || '(none)'}\n`;
+  if (p.type === 'gallery') return `- images: ${(p.images || []).map(i => i.file).join(', ') || '(none)'}\n`;
+  return p.type === 'self' ? `- body: ${p.body?.slice(0, 80) || ''}\n` : `- url: ${p.url}\n`;
+}
+
+// { image } or { images } picked from <data>/servers/<key>/media; {} when nothing is there.
+async function promptMedia(serverKey, type, current = {}) {
+  const dir = serverMediaDir(DATA_DIR, serverKey);
+  const files = listMediaFiles(dir);
+  if (!files.length) {
+    console.log(RED(`No images in ${dir}. Put .png/.jpg/.gif files there, then edit the post.`));
+    return {};
+  }
+  if (type === 'image') {
+    const { image } = await prompts({
+      type: 'select', name: 'image', message: 'Image', choices: files.map(f => ({ title: f, value: f })),
+      initial: Math.max(files.indexOf(current.image), 0)
+    });
+    return image ? { image } : {};
+  }
+  const had = new Map((current.images || []).map(i => [i.file, i]));
+  const { picked } = await prompts({
+    type: 'multiselect', name: 'picked', message: `Gallery images (${GALLERY_MIN_ITEMS}-${GALLERY_MAX_ITEMS}, in folder order)`,
+    choices: files.map(f => ({ title: f, value: f, selected: had.has(f) })),
+    min: GALLERY_MIN_ITEMS, max: GALLERY_MAX_ITEMS
+  });
+  if (!picked) return {};
+  const images = [];
+  for (const file of picked) {
+    const { caption } = await prompts({ type: 'text', name: 'caption', message: `Caption for ${file} (optional)`, initial: had.get(file)?.caption || '' });
+    const img = { ...(had.get(file) || {}), file };
+    if (caption) img.caption = caption; else delete img.caption;
+    images.push(img);
+  }
+  return { images };
+}
+
+// { crosspostOf } naming an entry that posts itself; {} when there is none.
+async function promptCrosspostSource(serverKey, selfKey, current) {
+  const sources = listSubreddits(DATA_DIR, serverKey)
+    .filter(e => e.post?.type !== 'crosspost' && (e.key || e.subreddit) !== selfKey);
+  if (!sources.length) {
+    console.log(RED('No other subreddit posts on its own; add the canonical one first.'));
+    return {};
+  }
+  const { crosspostOf } = await prompts({
+    type: 'select', name: 'crosspostOf', message: 'Crosspost the post made to',
+    choices: sources.map(e => ({ title: `r/${e.subreddit}`, value: e.key || e.subreddit })),
+    initial: Math.max(sources.findIndex(e => (e.key || e.subreddit) === current), 0)
+  });
+  return crosspostOf ? { crosspostOf } : {};
+}
+
+// Reports (without blocking) where the post, rendered like an advertise run would, breaks the
+// subreddit's published post requirements.
+async function checkPostRequirements(serverKey, subreddit, post) {
+  // a crosspost without its own title takes the canonical one, unknown until the session
+  if (!POST_REQUIREMENTS_ENABLED || (post.type === 'crosspost' && !post.title)) return;
+  let req;
+  try {
+    req = await fetchPostRequirements(subreddit, accountForServer(DATA_DIR, serverKey));
+  } catch (e) {
+    console.log(`Post requirements fetch failed: ${e.message}`);
+    return;
+  }
+  const cfg = readServerConfig(DATA_DIR, serverKey) || defaultServerConfig(serverKey);
+  const d = cfg.defaults || defaultServerConfig(serverKey).defaults;
+  const vars = templateVariables({ serverKey, serverName: cfg.name, invite: d.invite, subreddit, custom: cfg.variables });
+  const problems = requirementProblems(renderPost(mergeDefaults(serverKey, post, d), vars).post, req);
+  if (!problems.length) {
+    console.log(`✔ Meets r/${subreddit}'s post requirements`);
+    return;
+  }
+  console.log(RED(`r/${subreddit} post requirements not met (advertise runs will skip it):`));
+  problems.forEach(p => console.log(RED(`  - ${p}`)));
+  if (req.guidelines_text) console.log(`Posting guidelines: ${req.guidelines_text}`);
+}
+
 async function addSubredditFlow(serverKey) {
   const { subreddit } = await prompts([
     { type: 'text', name: 'subreddit', message: 'Subreddit (no /r/):' }
@@ -241,17 +503,7 @@ async function addSubredditFlow(serverKey) {
     }
   }
 
-  const initialType = template?.post?.type || 'self';
-  const { ptype } = await prompts({
-    type: 'select',
-    name: 'ptype',
-    message: 'Post type',
-    choices: [
-      { title: 'Self (text post with body)', value: 'self' },
-                                  { title: 'Link (URL post; no body)', value: 'link' }
-    ],
-    initial: initialType === 'link' ? 1 : 0
-  });
+  const { ptype } = await prompts(postTypePrompt(template?.post?.type));
 
   const cfg = readServerConfig(DATA_DIR, serverKey);
   const serverDefaults = cfg?.defaults || defaultServerConfig(serverKey).defaults;
@@ -261,26 +513,37 @@ async function addSubredditFlow(serverKey) {
     title: template?.post?.title || '',
     body: template?.post?.body || '',
     url: template?.post?.url || '',
+    image: template?.post?.image,
+    images: template?.post?.images,
     flair_id: template?.post?.flair_id || '',
     flair_text: template?.post?.flair_text || ''
   }, serverDefaults);
-  let rules = template?.rules ? { ...template.rules } : defaultRules();
+  let rules = defaultRules();
+  if (template?.rules) {
+    try {
+      rules = normalizeRules(template.rules);
+    } catch (e) {
+      console.log(RED(`Template rules ignored: ${e.message}`));
+    }
+  }
 
   const ask = [{ type: 'text', name: 'title', message: 'Title', initial: post.title || '' }];
   if ((ptype || 'self') === 'self') {
     ask.push({ type: 'text', name: 'body', message: 'Body (include invite)', initial: post.body || '' });
-  } else {
+  } else if (ptype === 'link') {
     ask.push({ type: 'text', name: 'url', message: 'Link URL (invite URL recommended)', initial: post.url || '' });
   }
-  ask.push({ type: 'number', name: 'cooldownDays', message: 'Cooldown (days, default 1):', initial: rules.cooldownDays ?? 1 });
-  const postAns = await prompts(ask);
+  ask.push(cooldownPrompt(rules));
+  const { cooldown, ...postAns } = await prompts(ask);
   post = { ...post, ...postAns };
-  rules = { ...rules, cooldownDays: Number.isFinite(postAns.cooldownDays) ? postAns.cooldownDays : (rules.cooldownDays ?? 1) };
+  if (isMediaType(ptype)) Object.assign(post, await promptMedia(serverKey, ptype, post));
+  if (ptype === 'crosspost') Object.assign(post, await promptCrosspostSource(serverKey, subreddit, template?.post?.crosspostOf));
+  if (cooldown) rules = withCooldown(rules, cooldown);
 
   const { wantFlair } = await prompts({ type: 'toggle', name: 'wantFlair', message: 'Fetch & choose a flair from Reddit?', initial: !!template?.post?.flair_id, active: 'yes', inactive: 'no' });
   if (wantFlair) {
     try {
-      const flairs = await listLinkFlairs(subreddit);
+      const flairs = await flairsFor(serverKey, subreddit);
       if (flairs.length) {
         const { flairPick } = await prompts({
           type: 'select',
@@ -308,6 +571,7 @@ async function addSubredditFlow(serverKey) {
   }
 
   const entry = { key: subreddit, subreddit, rules, post };
+  await checkPostRequirements(serverKey, subreddit, post);
   upsertSubreddit(DATA_DIR, serverKey, entry);
   console.log(`✔ Added r/${subreddit}`);
 
@@ -325,7 +589,7 @@ async function addSubredditFlow(serverKey) {
                                         })
       });
       if (targets && targets.length) {
-        for (const t of targets) enqueueTemplate(DATA_DIR, t, entry);
+        for (const t of targets) enqueueTemplate(DATA_DIR, t, withoutRemovalState(entry));
         console.log(`✔ Queued for: ${targets.join(', ')}`);
       }
     }
@@ -337,8 +601,7 @@ async function listSubredditsAction(serverKey) {
   if (!subs.length) { console.log('No subreddits.'); return; }
   subs.forEach(s => {
     const r = s.rules || {};
-    const days = r.cooldownDays ?? 1;
-    console.log(`- r/${s.subreddit}  type=${s.post?.type || 'self'}  cadence=${days}d  inviteRequired=${r.requirePermanentInvite !== false}`);
+    console.log(`- r/${s.subreddit}  type=${s.post?.type || 'self'}  cadence=${cooldownLabel(r)}  inviteRequired=${r.requirePermanentInvite !== false}`);
   });
 }
 
@@ -354,19 +617,28 @@ async function selectSubredditFlow(serverKey) {
     )
   });
   if (!key || key === '__back') return;
-  const entry = list.find(e => (e.key || e.subreddit) === key);
-  if (!entry) return;
 
+  // Re-read every round and save only the fields the section edited: the server updates entries
+  // too (removal policies pause them, lengthen cooldowns, set variant retries).
+  const SECTION_FIELDS = {
+    rules: ['rules'], post: ['post'], variants: ['variants', 'variantStrategy'], onRemoval: ['onRemoval'], resume: ['paused']
+  };
   while (true) {
+    const entry = listSubreddits(DATA_DIR, serverKey).find(e => (e.key || e.subreddit) === key);
+    if (!entry) { console.log('This subreddit entry no longer exists.'); return; }
     const r = entry.rules || defaultRules();
     const p = entry.post || { type: 'self', title: '', body: '', url: '' };
     const summary =
     `r/${entry.subreddit}\n` +
     `- type: ${p.type}\n` +
     `- title: ${p.title}\n` +
-    (p.type === 'self' ? `- body: ${p.body?.slice(0, 80) || ''}\n` : `- url: ${p.url}\n`) +
+    postContentLine(p) +
     `- flair_id: ${p.flair_id || '(none)'}  flair_text: ${p.flair_text || ''}\n` +
-    `- cooldown: ${r.cooldownDays ?? 1} day(s); invite required: ${r.requirePermanentInvite !== false}`;
+    (hasVariants(entry) ? `- variants: ${entry.variants.map(v => v.id).join(', ')} (${variantStrategy(entry)})\n` : '') +
+    `- cooldown: ${cooldownLabel(r)}; invite required: ${r.requirePermanentInvite !== false}\n` +
+    `- on removal: ${describeRemovalPolicy(entry.onRemoval)}` +
+    (entry.retryVariant ? `\n- retry pending with variant ${entry.retryVariant.variant} (post ${entry.retryVariant.retryOf} was removed)` : '') +
+    (entry.paused ? `\n- PAUSED since ${new Date(entry.paused.atMs).toLocaleString()}: ${entry.paused.reason}` : '');
 
     console.log('\n' + summary + '\n');
 
@@ -378,6 +650,9 @@ async function selectSubredditFlow(serverKey) {
         { title: 'Modify rules (cadence & invite requirement)', value: 'rules' },
                                       { title: 'Modify post (type/title/body/url)', value: 'post' },
                                       { title: 'Modify flair', value: 'flair' },
+                                      { title: 'Variants (A/B testing)', value: 'variants' },
+                                      { title: 'On removal (automatic responses)', value: 'onRemoval' },
+                                      ...(entry.paused ? [{ title: 'Resume posting (clear pause)', value: 'resume' }] : []),
                                       { title: 'Copy this subreddit to other servers (enqueue templates)', value: 'copy' },
                                       { title: 'Go back', value: 'back' }
       ]
@@ -385,42 +660,28 @@ async function selectSubredditFlow(serverKey) {
     if (!section || section === 'back') break;
 
     if (section === 'rules') {
-      const ans = await prompts([
-        { type: 'number', name: 'cooldownDays', message: 'Cooldown (days):', initial: r.cooldownDays ?? 1 },
-                                { type: 'toggle', name: 'requirePermanentInvite', message: 'Require permanent invite?', initial: r.requirePermanentInvite !== false, active: 'yes', inactive: 'no' }
-      ]);
-      entry.rules = {
-        cooldownDays: Number.isFinite(ans.cooldownDays) ? ans.cooldownDays : (r.cooldownDays ?? 1),
-        requirePermanentInvite: ans.requirePermanentInvite !== false
-      };
+      entry.rules = await promptRules(r);
     }
 
     if (section === 'post') {
-      const { ptype } = await prompts({
-        type: 'select',
-        name: 'ptype',
-        message: 'Post type',
-        choices: [
-          { title: 'Self (text post with body)', value: 'self' },
-                                      { title: 'Link (URL post; no body)', value: 'link' }
-        ],
-        initial: p.type === 'link' ? 1 : 0
-      });
+      const { ptype } = await prompts(postTypePrompt(p.type));
       const ask = [{ type: 'text', name: 'title', message: 'Title', initial: p.title || '' }];
       if (ptype === 'link') {
         ask.push({ type: 'text', name: 'url', message: 'Link URL', initial: p.url || '' });
-      } else {
+      } else if (ptype === 'self') {
         ask.push({ type: 'text', name: 'body', message: 'Body (include invite)', initial: p.body || '' });
       }
       const ans = await prompts(ask);
       entry.post = { ...p, type: ptype, ...ans };
+      if (isMediaType(ptype)) Object.assign(entry.post, await promptMedia(serverKey, ptype, p));
+      if (ptype === 'crosspost') Object.assign(entry.post, await promptCrosspostSource(serverKey, key, p.crosspostOf));
     }
 
     if (section === 'flair') {
       const { fetchFlairs } = await prompts({ type: 'toggle', name: 'fetchFlairs', message: 'Fetch flairs from Reddit?', initial: true, active: 'yes', inactive: 'no' });
       if (fetchFlairs) {
         try {
-          const flairs = await listLinkFlairs(entry.subreddit);
+          const flairs = await flairsFor(serverKey, entry.subreddit);
           if (flairs.length) {
             const { flairPick } = await prompts({
               type: 'select',
@@ -451,6 +712,17 @@ async function selectSubredditFlow(serverKey) {
       }
     }
 
+    if (section === 'post' || section === 'flair') await checkPostRequirements(serverKey, entry.subreddit, entry.post || {});
+
+    if (section === 'variants') await editVariantsFlow(serverKey, entry);
+
+    if (section === 'onRemoval') await editRemovalPolicy(entry);
+
+    if (section === 'resume') {
+      delete entry.paused;
+      console.log(`✔ r/${entry.subreddit} posts again`);
+    }
+
     if (section === 'copy') {
       const servers = listServers(DATA_DIR).filter(s => serverKeyOf(s) !== serverKey);
       if (!servers.length) { console.log('No other servers exist.'); continue; }
@@ -464,13 +736,171 @@ async function selectSubredditFlow(serverKey) {
                                         })
       });
       if (targets && targets.length) {
-        for (const t of targets) enqueueTemplate(DATA_DIR, t, entry);
+        for (const t of targets) enqueueTemplate(DATA_DIR, t, withoutRemovalState(entry));
         console.log(`✔ Queued for: ${targets.join(', ')}`);
       }
+      continue;
     }
 
-    upsertSubreddit(DATA_DIR, serverKey, entry);
-    console.log('✔ Saved');
+    const saved = updateSubreddit(DATA_DIR, serverKey, key, e => {
+      if (section === 'flair') {
+        e.post = { ...e.post, flair_id: entry.post?.flair_id || '', flair_text: entry.post?.flair_text || '' };
+        return;
+      }
+      for (const f of SECTION_FIELDS[section] || []) {
+        if (entry[f] === undefined) delete e[f]; else e[f] = entry[f];
+      }
+    });
+    console.log(saved ? '✔ Saved' : 'This subreddit entry was deleted meanwhile; nothing saved.');
+    if (!saved) return;
+  }
+}
+
+async function editRemovalPolicy(entry) {
+  const p = entry.onRemoval || {};
+  console.log('Runs when the removal monitor finds one of this subreddit\'s posts removed (or spam-filtered).');
+  const durationOk = (k) => (v) => { try { normalizeRemovalPolicy({ [k]: v }); return true; } catch (e) { return e.message; } };
+  const ans = await prompts([
+    { type: 'text', name: 'extendCooldown', message: 'Lengthen the cooldown by (e.g. 1d; empty = no)', initial: p.extendCooldown || '', validate: durationOk('extendCooldown') },
+    { type: 'number', name: 'pauseAfter', message: 'Pause after this many removals (0 = never)', initial: p.pauseAfter || 0, min: 0 },
+    { type: prev => prev > 0 ? 'text' : null, name: 'pauseWindow', message: '... within (e.g. 7d)', initial: p.pauseWindow || '7d', validate: durationOk('pauseWindow') },
+    { type: 'toggle', name: 'requeue', message: 'Move back to the queue for revision?', initial: !!p.requeue, active: 'yes', inactive: 'no' },
+    {
+      type: prev => prev || !hasVariants(entry) ? null : 'toggle', name: 'retryNextVariant',
+      message: 'Retry once with the next variant?', initial: !!p.retryNextVariant, active: 'yes', inactive: 'no'
+    }
+  ]);
+  if (ans.requeue === undefined) return;
+  const policy = normalizeRemovalPolicy({ ...ans, pauseAfter: ans.pauseAfter || undefined });
+  if (policy) entry.onRemoval = policy; else delete entry.onRemoval;
+  console.log(`✔ On removal: ${describeRemovalPolicy(policy)}`);
+}
+
+const pct = (x) => x === null ? '-' : `${Math.round(x * 100)}%`;
+const num = (x, digits = 1) => x === null ? '-' : x.toFixed(digits);
+
+function printVariantStats(serverKey, entry) {
+  const stats = variantStats(entry, listPostedRecords(DATA_DIR, serverKey));
+  console.log(`Strategy: ${variantStrategy(entry)}`);
+  for (const s of stats) {
+    const line = `  ${s.id}  posts ${s.posts}  removed ${s.removed} (${pct(s.removalRate)})  score ${num(s.avgScore)}  ` +
+      `upvoted ${pct(s.avgUpvoteRatio)}  comments ${num(s.avgComments)}  weight ${s.weight}  — ${s.title.slice(0, 60)}`;
+    console.log(s.removalRate >= 0.5 ? RED(line) : line);
+  }
+}
+
+// { flair_id, flair_text } picked from the subreddit's flairs, or null.
+async function chooseFlair(serverKey, subreddit, currentText = '') {
+  let flairs;
+  try {
+    flairs = await flairsFor(serverKey, subreddit);
+  } catch (e) {
+    console.log(`Flair fetch failed: ${e.message}`);
+    return null;
+  }
+  if (!flairs.length) { console.log('No flairs available or subreddit restricts flair listing.'); return null; }
+  const { flairPick } = await prompts({
+    type: 'select',
+    name: 'flairPick',
+    message: 'Choose flair',
+    choices: flairs.map(f => ({ title: `${f.text || '(no text)'}`, value: f }))
+  });
+  if (!flairPick) return null;
+  if (!flairPick.text_editable) return { flair_id: flairPick.id, flair_text: '' };
+  const { ft } = await prompts({ type: 'text', name: 'ft', message: 'Custom flair text (optional):', initial: currentText || flairPick.text || '' });
+  return { flair_id: flairPick.id, flair_text: ft || '' };
+}
+
+// Which subreddits are worth the account risk: removals against engagement at 24h.
+async function performanceReport(serverKey) {
+  const { days } = await prompts({
+    type: 'text', name: 'days', message: 'Posts of the last N days (blank = all)',
+    validate: v => !v.trim() || Number(v) > 0 || 'A positive number, or blank'
+  });
+  if (days === undefined) return;
+  const sinceUtc = days.trim() ? Math.floor(Date.now() / 1000 - Number(days) * 86400) : 0;
+  const stats = subredditStats(listPostedRecords(DATA_DIR, serverKey), { sinceUtc });
+  if (!stats.length) { console.log('No posts recorded yet.'); return; }
+  console.log(BOLD(`r/subreddit            posts  removed  median score@${CHECKPOINT_HOURS}h  median comments@${CHECKPOINT_HOURS}h  (measured)`));
+  for (const s of stats) {
+    const cats = Object.entries(s.removalCategories).map(([c, n]) => `${c} ${n}`).join(', ');
+    const line = `${`r/${s.subreddit}`.padEnd(22)} ${String(s.posts).padStart(5)}  ${pct(s.removalRate).padStart(7)}  ` +
+      `${num(s.medianScore24h).padStart(17)}  ${num(s.medianComments24h).padStart(20)}  (${s.measured24h})${cats ? `  removed: ${cats}` : ''}`;
+    console.log(s.removalRate >= 0.5 ? RED(line) : line);
+  }
+}
+
+// Edit entry.variants in place; the caller saves the entry.
+async function editVariantsFlow(serverKey, entry) {
+  while (true) {
+    entry.variants = entry.variants || [];
+    if (entry.variants.length) printVariantStats(serverKey, entry);
+    else console.log('No variants: every submission uses the post as it is.');
+    const { action } = await prompts({
+      type: 'select',
+      name: 'action',
+      message: 'Variants',
+      choices: [
+        { title: 'Add variant', value: 'add' },
+        { title: 'Edit variant', value: 'edit', disabled: !entry.variants.length },
+        { title: 'Delete variant', value: 'delete', disabled: !entry.variants.length },
+        { title: `Selection strategy (${variantStrategy(entry)})`, value: 'strategy' },
+        { title: 'Go back', value: 'back' }
+      ]
+    });
+    if (!action || action === 'back') break;
+    if (action === 'strategy') {
+      const { strategy } = await prompts({
+        type: 'select', name: 'strategy', message: 'Pick a variant by',
+        choices: VARIANT_STRATEGIES.map(v => ({ title: v, value: v })),
+        initial: VARIANT_STRATEGIES.indexOf(variantStrategy(entry))
+      });
+      if (strategy) entry.variantStrategy = strategy;
+      continue;
+    }
+    let current = null;
+    if (action !== 'add') {
+      const { id } = await prompts({
+        type: 'select', name: 'id', message: 'Which variant?',
+        choices: entry.variants.map(v => ({ title: `${v.id} — ${(v.title || entry.post?.title || '').slice(0, 60)}`, value: v.id }))
+      });
+      current = entry.variants.find(v => v.id === id);
+      if (!current) continue;
+    }
+    if (action === 'delete') {
+      entry.variants = entry.variants.filter(v => v !== current);
+      console.log(`✔ Deleted variant ${current.id} (its posted records keep the id)`);
+      continue;
+    }
+    const isLink = entry.post?.type === 'link';
+    const ans = await prompts([
+      { type: 'text', name: 'title', message: 'Title (blank = the post title)', initial: current?.title || '' },
+      isLink
+        ? { type: 'text', name: 'url', message: 'Link URL (blank = the post URL)', initial: current?.url || '' }
+        : { type: 'text', name: 'body', message: 'Body (blank = the post body)', initial: current?.body || '' },
+      { type: 'number', name: 'weight', message: 'Weight (weighted strategy; 0 = never picked)', initial: current?.weight ?? 1, min: 0 },
+      { type: 'toggle', name: 'ownFlair', message: 'Own flair (else the post flair)?', initial: !!current?.flair_id, active: 'yes', inactive: 'no' }
+    ]);
+    if (ans.ownFlair === undefined) continue; // cancelled
+    const v = current || { id: nextVariantId(entry.variants) };
+    for (const f of ['title', 'body', 'url']) {
+      if (ans[f] === undefined) continue;
+      if (ans[f]) v[f] = ans[f]; else delete v[f];
+    }
+    v.weight = ans.weight;
+    if (!ans.ownFlair) {
+      delete v.flair_id;
+      delete v.flair_text;
+    } else {
+      const flair = await chooseFlair(serverKey, entry.subreddit, v.flair_text);
+      if (flair) Object.assign(v, flair);
+    }
+    if (!current) entry.variants.push(v);
+    console.log(`✔ ${current ? 'Updated' : 'Added'} variant ${v.id}`);
+  }
+  if (!entry.variants.length) {
+    delete entry.variants;
+    delete entry.variantStrategy;
   }
 }
 
@@ -502,13 +932,17 @@ async function reviewQueueFlow(serverKey) {
       name: 'key',
       message: 'Queue — pick a subreddit to customize',
       choices: [{ title: 'Go back', value: '__back' }].concat(
-        q.map(e => ({ title: `r/${e.subreddit}`, value: e.key || e.subreddit }))
+        q.map(e => ({ title: `r/${e.subreddit}${e.requeuedAfterRemoval ? ' (returned after a removal)' : ''}`, value: e.key || e.subreddit }))
       )
     });
     if (!key || key === '__back') return;
 
     const item = dequeueTemplate(DATA_DIR, serverKey, key);
     if (!item) continue;
+    if (item.requeuedAfterRemoval) {
+      const r = item.requeuedAfterRemoval;
+      console.log(RED(`Moved here when post ${r.id} was removed (${r.category}) on ${new Date(r.atMs).toLocaleString()}. Revise it before promoting.`));
+    }
 
     let done = false;
     while (!done) {
@@ -523,7 +957,14 @@ async function reviewQueueFlow(serverKey) {
         ]
       });
       if (!step || step === 'finish') {
-        upsertSubreddit(DATA_DIR, serverKey, item);
+        delete item.requeuedAfterRemoval;
+        // a live entry with the same key keeps its removal-policy state; the rest is the template
+        const itemKey = item.key || item.subreddit;
+        const replaced = updateSubreddit(DATA_DIR, serverKey, itemKey, e => {
+          for (const f of Object.keys(e)) if (!REMOVAL_STATE_FIELDS.includes(f)) delete e[f];
+          Object.assign(e, withoutRemovalState(item));
+        });
+        if (!replaced) upsertSubreddit(DATA_DIR, serverKey, item);
         console.log('✔ Promoted from queue to live list');
         done = true;
       } else if (step === 'cancel') {
@@ -531,32 +972,20 @@ async function reviewQueueFlow(serverKey) {
         console.log('↩ Returned to queue');
         done = true;
       } else if (step === 'rules') {
-        const r0 = item.rules || { cooldownDays: 1, requirePermanentInvite: true };
-        const ans = await prompts([
-          { type: 'number', name: 'cooldownDays', message: 'Cooldown (days):', initial: r0.cooldownDays ?? 1 },
-                                  { type: 'toggle', name: 'requirePermanentInvite', message: 'Require permanent invite?', initial: r0.requirePermanentInvite !== false, active: 'yes', inactive: 'no' }
-        ]);
-        item.rules = { cooldownDays: Number.isFinite(ans.cooldownDays) ? ans.cooldownDays : (r0.cooldownDays ?? 1), requirePermanentInvite: ans.requirePermanentInvite !== false };
+        item.rules = await promptRules(item.rules);
       } else if (step === 'post') {
         const p0 = item.post || { type: 'self', title: '', body: '', url: '' };
-        const { ptype } = await prompts({
-          type: 'select',
-          name: 'ptype',
-          message: 'Post type',
-          choices: [
-            { title: 'Self (text post with body)', value: 'self' },
-                                        { title: 'Link (URL post; no body)', value: 'link' }
-          ],
-          initial: p0.type === 'link' ? 1 : 0
-        });
+        const { ptype } = await prompts(postTypePrompt(p0.type));
         const ask = [{ type: 'text', name: 'title', message: 'Title', initial: p0.title || '' }];
         if (ptype === 'link') ask.push({ type: 'text', name: 'url', message: 'Link URL', initial: p0.url || '' });
-        else ask.push({ type: 'text', name: 'body', message: 'Body (include invite)', initial: p0.body || '' });
+        else if (ptype === 'self') ask.push({ type: 'text', name: 'body', message: 'Body (include invite)', initial: p0.body || '' });
         const ans = await prompts(ask);
         item.post = { ...p0, type: ptype, ...ans };
+        if (isMediaType(ptype)) Object.assign(item.post, await promptMedia(serverKey, ptype, p0));
+        if (ptype === 'crosspost') Object.assign(item.post, await promptCrosspostSource(serverKey, item.key || item.subreddit, p0.crosspostOf));
       } else if (step === 'flair') {
         try {
-          const flairs = await listLinkFlairs(item.subreddit);
+          const flairs = await flairsFor(serverKey, item.subreddit);
           if (flairs.length) {
             const { flairPick } = await prompts({
               type: 'select',
@@ -587,14 +1016,207 @@ async function reviewQueueFlow(serverKey) {
   }
 }
 
+// ---------- Reddit accounts ----------
+function accountLabel(a) {
+  const p = publicAccount(a);
+  const who = p.username ? `u/${p.username}` : '(username from token)';
+  return `${p.key} — ${who} — ${p.auth}${a.fromEnv ? ' (from .env)' : ''}`;
+}
+
+function serversUsingAccount(key) {
+  return listServers(DATA_DIR).map(serverKeyOf)
+    .filter(k => (readServerConfig(DATA_DIR, k).account || DEFAULT_ACCOUNT_KEY) === key);
+}
+
+async function accountsMenu() {
+  while (true) {
+    const { action } = await prompts({
+      type: 'select',
+      name: 'action',
+      message: 'Reddit accounts',
+      choices: [
+        { title: 'List accounts', value: 'list' },
+        { title: 'Add account', value: 'add' },
+        { title: 'Edit account', value: 'edit' },
+        { title: 'Authorize in browser (refresh token)', value: 'auth' },
+        { title: 'Test login', value: 'test' },
+        { title: 'Remove account', value: 'remove' },
+        { title: 'Go back', value: 'back' }
+      ]
+    });
+    if (!action || action === 'back') return;
+    if (action === 'list') listAccountsAction();
+    if (action === 'add') await editAccountFlow(null);
+    if (action === 'edit') {
+      const a = await pickAccount({ editable: true });
+      if (a) await editAccountFlow(a);
+    }
+    if (action === 'auth') await authorizeAccountFlow();
+    if (action === 'test') await testAccountAction();
+    if (action === 'remove') await removeAccountAction();
+  }
+}
+
+function listAccountsAction() {
+  const accounts = listAccounts(DATA_DIR);
+  if (!accounts.length) { console.log('No accounts. Set REDDIT_* in .env or add one.'); return; }
+  for (const a of accounts) {
+    const servers = serversUsingAccount(a.key);
+    console.log(`- ${accountLabel(a)}${servers.length ? `  servers: ${servers.join(', ')}` : ''}`);
+  }
+}
+
+async function pickAccount({ editable = false } = {}) {
+  const accounts = listAccounts(DATA_DIR).filter(a => !editable || !a.fromEnv);
+  if (!accounts.length) { console.log(editable ? 'No stored accounts (the .env account is edited in .env).' : 'No accounts.'); return null; }
+  const { key } = await prompts({
+    type: 'select',
+    name: 'key',
+    message: 'Pick account',
+    choices: [{ title: 'Go back', value: '__back' }].concat(accounts.map(a => ({ title: accountLabel(a), value: a.key })))
+  });
+  if (!key || key === '__back') return null;
+  return accounts.find(a => a.key === key) || null;
+}
+
+// Add (current = null) or edit an account. Secrets left blank keep their stored value.
+async function editAccountFlow(current) {
+  const ask = [];
+  if (!current) ask.push({ type: 'text', name: 'key', message: 'Account key (short name, e.g. "main")' });
+  ask.push(
+    { type: 'text', name: 'username', message: 'Reddit username (optional with a refresh token)', initial: current?.username || '' },
+    { type: 'text', name: 'clientId', message: 'App client id', initial: current?.clientId || '' },
+    { type: 'password', name: 'clientSecret', message: current ? 'App client secret (blank = keep)' : 'App client secret' },
+    { type: 'password', name: 'refreshToken', message: current ? 'Refresh token (blank = keep, "-" = clear)' : 'Refresh token (blank for a script app)' },
+    { type: 'password', name: 'password', message: current ? 'Password (blank = keep, "-" = clear)' : 'Password (script app; blank with a refresh token)' },
+    { type: 'text', name: 'userAgent', message: 'User-Agent (blank = USER_AGENT from .env)', initial: current?.userAgent || '' }
+  );
+  const ans = await prompts(ask);
+  if (ans.clientId === undefined) return; // cancelled
+  const input = { ...ans };
+  for (const f of ['clientSecret', 'refreshToken', 'password']) {
+    if (input[f] === '-') input[f] = '';
+    else if (!input[f]) delete input[f];
+  }
+  let account;
+  try {
+    account = normalizeAccount(input, current);
+  } catch (e) {
+    console.log(RED(e.message));
+    return;
+  }
+  // a stored "default" may replace the .env account, but stored accounts are never overwritten here
+  if (!current && listAccounts(DATA_DIR).some(a => a.key === account.key && !a.fromEnv)) {
+    console.log(RED(`Account ${account.key} already exists.`));
+    return;
+  }
+  upsertAccount(DATA_DIR, account);
+  forgetToken(account.key);
+  console.log(`✔ Saved account ${account.key}`);
+}
+
+// Authorization-code flow: the user approves Cryer on reddit.com, Reddit redirects to a temporary
+// local listener, and the code is exchanged for a refresh token that replaces any stored password.
+// The .env account becomes a stored "default" account carrying the token.
+async function authorizeAccountFlow(key = null) {
+  let current = null;
+  if (key) {
+    current = findAccount(DATA_DIR, slugifyName(key));
+  } else {
+    const { pick } = await prompts({
+      type: 'select',
+      name: 'pick',
+      message: 'Authorize which account?',
+      choices: [{ title: 'New account', value: '__new' }]
+        .concat(listAccounts(DATA_DIR).map(a => ({ title: accountLabel(a), value: a.key })))
+    });
+    if (!pick) return false;
+    if (pick !== '__new') current = findAccount(DATA_DIR, pick);
+  }
+  let base = current && { key: current.key, clientId: current.clientId, clientSecret: current.clientSecret };
+  if (current?.userAgent) base.userAgent = current.userAgent;
+  if (!base) {
+    const ans = await prompts([
+      { type: key ? null : 'text', name: 'key', message: 'Account key (short name, e.g. "main")' },
+      { type: 'text', name: 'clientId', message: 'App client id' },
+      { type: 'password', name: 'clientSecret', message: 'App client secret' }
+    ]);
+    if (!ans.clientSecret) return false; // cancelled
+    if (!key && !ans.key) { console.log(RED('Account key required.')); return false; }
+    base = { key: slugifyName(key || ans.key), clientId: ans.clientId.trim(), clientSecret: ans.clientSecret.trim() };
+  }
+  if (!base.clientId || !base.clientSecret) {
+    console.log(RED(`Account ${base.key} has no client id/secret.`));
+    return false;
+  }
+
+  const state = newOAuthState();
+  console.log(`The Reddit app (client id ${base.clientId}) must have redirect uri ${OAUTH_REDIRECT_URI}`);
+  console.log(`Scopes: ${OAUTH_SCOPES.join(', ')}`);
+  console.log('Open this URL in a browser logged in as the bot account and press "Allow":');
+  console.log(`\n  ${authorizeUrl({ clientId: base.clientId, state })}\n`);
+  console.log(`Waiting for the redirect on ${OAUTH_REDIRECT_URI} ... (Ctrl+C to abort)`);
+
+  let account;
+  try {
+    const code = await waitForAuthorizationCode({ state });
+    const tokens = await exchangeAuthorizationCode({ ...base, code, account: base });
+    const me = await fetchMe(tokens.access_token, base);
+    account = normalizeAccount({ ...base, username: me.name, refreshToken: tokens.refresh_token, password: '' }, current && !current.fromEnv ? current : null);
+  } catch (e) {
+    console.log(RED(`Authorization failed: ${e.message}`));
+    return false;
+  }
+  upsertAccount(DATA_DIR, account);
+  forgetToken(account.key);
+  console.log(`✔ Stored a refresh token for ${account.key} (u/${account.username})`);
+  if (current?.fromEnv) console.log('REDDIT_PASSWORD / REDDIT_USERNAME in .env are no longer needed for the default account.');
+  return true;
+}
+
+async function testAccountAction() {
+  const account = await pickAccount();
+  if (!account) return;
+  try {
+    const token = await getToken(account);
+    const me = await fetchMe(token, account);
+    console.log(`✔ Logged in as u/${me.name} (karma ${Number(me.link_karma || 0) + Number(me.comment_karma || 0)})`);
+  } catch (e) {
+    console.log(RED(`Login failed: ${e.message}`));
+  }
+}
+
+async function removeAccountAction() {
+  const account = await pickAccount({ editable: true });
+  if (!account) return;
+  const servers = serversUsingAccount(account.key);
+  if (servers.length) {
+    console.log(RED(`Still used by: ${servers.join(', ')}. Move those servers to another account first.`));
+    return;
+  }
+  const { yes } = await prompts({ type: 'toggle', name: 'yes', message: `Remove account ${account.key}?`, initial: false, active: 'Yes', inactive: 'No' });
+  if (!yes) return;
+  deleteAccount(DATA_DIR, account.key);
+  console.log('✔ Removed');
+}
+
 async function postNow(serverKey) {
   const { dry } = await prompts({ type: 'toggle', name: 'dry', message: 'Dry run?', initial: true, active: 'Yes', inactive: 'No' });
-  const r = await fetch(`http://${CALLBACK_HOST}:${PORT}/v1/advertise`, {
+  const advertise = (queue) => fetch(`http://${CALLBACK_HOST}:${PORT}/v1/advertise`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json', 'X-Cryer-Key': KEY },
-    body: JSON.stringify({ serverKey, dryRun: !!dry })
+    body: JSON.stringify({ serverKey, dryRun: !!dry, queue })
   });
-  const json = await r.json();
+  let r = await advertise(false);
+  let json = await r.json();
+  if (r.status === 409) {
+    console.log(RED(`Another session is running (${json.sessionId}, server ${json.serverKey}, started ${new Date(json.startedMs).toLocaleString()})`));
+    const { wait } = await prompts({ type: 'toggle', name: 'wait', message: 'Wait for it and post after?', initial: false, active: 'yes', inactive: 'no' });
+    if (!wait) return;
+    console.log('Waiting…');
+    r = await advertise(true);
+    json = await r.json();
+  }
   if (json?.status === 'throttled') {
     const until = new Date(json.throttleUntil).toLocaleString();
     console.log(RED(`Session throttled until ${until}`));
@@ -614,6 +1236,204 @@ async function postNow(serverKey) {
   console.log(JSON.stringify(json, null, 2));
 }
 
+function scheduleLabel(s) {
+  const when = s.whenMs ? new Date(s.whenMs).toLocaleString() : '(never)';
+  const subs = s.subreddits?.length ? `r/${s.subreddits.join(', r/')}` : 'all subreddits';
+  const state = scheduleState(s);
+  const flags = `${s.paused ? '[paused] ' : ''}${state !== 'pending' ? `[${state}] ` : ''}`;
+  const retry = s.attempts ? ` — attempt ${s.attempts}${s.lastError ? `: ${s.lastError}` : ''}` : '';
+  const text = `${flags}${describeRecurrence(s.recurrence)} — next ${when} — ${subs} (${s.reason})${retry}`;
+  return state === 'failed' ? RED(text) : text;
+}
+
+function runLabel(h) {
+  const counts = h.counts ? Object.entries(h.counts).map(([k, v]) => `${k}=${v}`).join(' ') : '';
+  const subs = h.subreddits?.length ? ` r/${h.subreddits.join(', r/')}` : '';
+  const attempt = h.attempt > 1 ? ` [attempt ${h.attempt}]` : '';
+  const text = `${new Date(h.firedMs).toLocaleString()}  ${h.outcome}${attempt}${counts ? ` (${counts})` : ''}${subs}${h.error ? ` — ${h.error}` : ''}`;
+  return h.outcome === 'error' ? RED(text) : text;
+}
+
+async function schedulesMenu(serverKey) {
+  while (true) {
+    const { action } = await prompts({
+      type: 'select',
+      name: 'action',
+      message: `Schedules: ${serverKey}`,
+      choices: [
+        { title: 'List pending & recent runs', value: 'list' },
+        { title: 'Inspect a schedule', value: 'inspect' },
+        { title: 'Create recurring schedule', value: 'create' },
+        { title: 'Reschedule', value: 'reschedule' },
+        { title: 'Pause / resume a schedule', value: 'toggle' },
+        { title: 'Cancel a schedule', value: 'cancel' },
+        { title: 'Go back', value: 'back' }
+      ]
+    });
+    if (!action || action === 'back') return;
+    if (action === 'list') listSchedulesAction(serverKey);
+    if (action === 'inspect') await inspectScheduleAction(serverKey);
+    if (action === 'create') await createRecurringSchedule(serverKey);
+    if (action === 'reschedule') await rescheduleAction(serverKey);
+    if (action === 'toggle') await toggleSchedulePause(serverKey);
+    if (action === 'cancel') await cancelScheduleAction(serverKey);
+  }
+}
+
+function listSchedulesAction(serverKey) {
+  const list = listSchedules(DATA_DIR).filter(s => s.serverKey === serverKey).sort((a, b) => a.whenMs - b.whenMs);
+  console.log(BOLD('Scheduled'));
+  if (!list.length) console.log('  (none)');
+  for (const s of list) console.log(`  - ${scheduleLabel(s)}  [${s.id}]`);
+  const recent = listScheduleHistory(DATA_DIR, { serverKey, limit: 10 });
+  console.log(BOLD('Recently fired'));
+  if (!recent.length) console.log('  (none)');
+  for (const h of recent) console.log(`  - ${runLabel(h)}  [${h.scheduleId}]`);
+}
+
+async function pickSchedule(serverKey, message = 'Pick schedule') {
+  const list = listSchedules(DATA_DIR).filter(s => s.serverKey === serverKey);
+  if (!list.length) { console.log('No schedules.'); return null; }
+  const { id } = await prompts({
+    type: 'select',
+    name: 'id',
+    message,
+    choices: [{ title: 'Go back', value: '__back' }].concat(list.map(s => ({ title: scheduleLabel(s), value: s.id })))
+  });
+  if (!id || id === '__back') return null;
+  return list.find(x => x.id === id) || null;
+}
+
+async function inspectScheduleAction(serverKey) {
+  const s = await pickSchedule(serverKey);
+  if (!s) return;
+  console.log(JSON.stringify(s, null, 2));
+  const history = listScheduleHistory(DATA_DIR, { scheduleId: s.id });
+  if (history.length) {
+    console.log(BOLD('Runs'));
+    for (const h of history) console.log(`  - ${runLabel(h)}`);
+  }
+}
+
+// Ask for { daily | window | cron, tz, jitterMinutes }; null when cancelled.
+async function promptRecurrence(current = null) {
+  const { kind } = await prompts({
+    type: 'select',
+    name: 'kind',
+    message: 'Repeat',
+    choices: [
+      { title: 'Every day at a time (e.g. 18:00)', value: 'daily' },
+      { title: 'Every day inside a posting window (e.g. 18:00-21:00)', value: 'window' },
+      { title: 'Cron expression (min hour dom month dow)', value: 'cron' }
+    ]
+  });
+  if (!kind) return null;
+  const checks = {
+    daily: v => /^([01]?\d|2[0-3]):[0-5]\d$/.test(v.trim()) || 'Use HH:MM',
+    window: v => /^([01]?\d|2[0-3]):[0-5]\d-([01]?\d|2[0-3]):[0-5]\d$/.test(v.trim()) || 'Use HH:MM-HH:MM',
+    cron: v => { try { parseCron(v); return true; } catch (e) { return e.message; } }
+  };
+  const ans = await prompts([
+    { type: 'text', name: 'value', message: kind === 'cron' ? 'Cron expression:' : (kind === 'window' ? 'Window:' : 'Time:'), validate: checks[kind] },
+    { type: 'text', name: 'tz', message: 'Time zone (IANA):', initial: current?.tz || defaultTimeZone(), validate: v => isValidTimeZone(v) || 'Unknown time zone' },
+    { type: kind === 'window' ? null : 'number', name: 'jitterMinutes', message: 'Random jitter (minutes, 0 for none):', initial: 0, min: 0 }
+  ]);
+  if (!ans.value) return null;
+  return { [kind]: ans.value.trim(), tz: ans.tz, jitterMinutes: ans.jitterMinutes || 0 };
+}
+
+async function createRecurringSchedule(serverKey) {
+  const spec = await promptRecurrence();
+  if (!spec) return;
+
+  const subs = listSubreddits(DATA_DIR, serverKey);
+  let subreddits = null;
+  if (subs.length) {
+    const { picked } = await prompts({
+      type: 'multiselect',
+      name: 'picked',
+      message: 'Only these subreddits? (select none for all)',
+      choices: subs.map(e => ({ title: `r/${e.subreddit}`, value: e.key || e.subreddit }))
+    });
+    if (picked?.length) subreddits = picked;
+  }
+
+  let recurrence;
+  try {
+    recurrence = normalizeRecurrence(spec);
+  } catch (e) {
+    console.log(RED(e.message));
+    return;
+  }
+  const whenMs = nextRecurrenceMs(recurrence);
+  if (whenMs === null) { console.log(RED('That schedule never fires.')); return; }
+  const entry = addSchedule(DATA_DIR, { serverKey, whenMs, reason: 'recurring', subreddits, recurrence });
+  console.log(`✔ Scheduled: ${scheduleLabel(entry)}`);
+}
+
+// "in 2h" style durations or anything Date.parse understands ("2026-10-20 18:00")
+function parseWhen(v) {
+  const text = String(v || '').trim().replace(/^in\s+/i, '');
+  const dur = parseDuration(text);
+  if (Number.isFinite(dur)) return Date.now() + dur;
+  const at = Date.parse(String(v || '').trim());
+  return Number.isFinite(at) ? at : NaN;
+}
+
+async function applySchedulePatch(s, input) {
+  try {
+    const entry = updateSchedule(DATA_DIR, s.id, buildSchedulePatch(s, input));
+    console.log(`✔ ${scheduleLabel(entry)}`);
+  } catch (e) {
+    console.log(RED(e.message));
+  }
+}
+
+async function rescheduleAction(serverKey) {
+  const s = await pickSchedule(serverKey, 'Pick schedule to reschedule');
+  if (!s) return;
+  let mode = 'time';
+  if (s.recurrence) {
+    ({ mode } = await prompts({
+      type: 'select',
+      name: 'mode',
+      message: 'Change',
+      choices: [
+        { title: 'Next fire time only', value: 'time' },
+        { title: 'Recurrence (time / window / cron)', value: 'recurrence' }
+      ]
+    }));
+  }
+  if (mode === 'recurrence') {
+    const spec = await promptRecurrence(s.recurrence);
+    if (spec) await applySchedulePatch(s, spec);
+    return;
+  }
+  if (mode !== 'time') return;
+  const { when } = await prompts({
+    type: 'text', name: 'when',
+    message: 'New time ("in 2h", "in 1d 6h", or a date like 2026-10-20 18:00):',
+    validate: v => Number.isFinite(parseWhen(v)) || 'Not a time I understand'
+  });
+  if (!when) return;
+  await applySchedulePatch(s, { at: parseWhen(when) });
+}
+
+async function toggleSchedulePause(serverKey) {
+  const s = await pickSchedule(serverKey);
+  if (!s) return;
+  await applySchedulePatch(s, { paused: !s.paused });
+}
+
+async function cancelScheduleAction(serverKey) {
+  const s = await pickSchedule(serverKey, 'Pick schedule to cancel');
+  if (!s) return;
+  const { yes } = await prompts({ type: 'toggle', name: 'yes', message: `Cancel ${scheduleLabel(s)}?`, initial: false, active: 'Yes', inactive: 'No' });
+  if (!yes) return;
+  removeSchedule(DATA_DIR, s.id);
+  console.log('✔ Cancelled');
+}
+
 async function postAllServers() {
   const servers = listServers(DATA_DIR);
   for (const s of servers) {
@@ -641,15 +1461,48 @@ async function syncServersFromSquire() {
     console.log(`Sync failed: ${e.message}`);
     return;
   }
-  if (!Array.isArray(data)) { console.log('Unexpected payload. Expected an array of { key?, name }.'); return; }
+  if (!Array.isArray(data)) { console.log('Unexpected payload. Expected an array of { key?, name, guildId? }.'); return; }
   for (const it of data) {
     const name = it.name || it.key || 'server';
     const key = it.key || slugifyName(name);
     await ensureServerScaffold(DATA_DIR, key, name);
+    if (it.guildId) updateServerConfig(DATA_DIR, key, cfg => { cfg.guildId = String(it.guildId); });
   }
   console.log('✔ Synced servers from Squire');
 }
 
+// One-shot import of a JSON data dir (default: this data dir) into the SQLite backend.
+// Refuses to run against a database that already has servers, so it cannot double-import.
+async function migrateCommand(args) {
+  const fromIx = args.indexOf('--from');
+  const from = path.resolve(fromIx >= 0 && args[fromIx + 1] ? args[fromIx + 1] : DATA_DIR);
+  if (!fs.existsSync(path.join(from, 'servers.json'))) {
+    console.log(RED(`No servers.json in ${from}; nothing to import.`));
+    return 1;
+  }
+  let sqlite;
+  try {
+    sqlite = await loadStorageBackend('sqlite');
+  } catch (e) {
+    console.log(RED(e.message));
+    return 1;
+  }
+  if (sqlite.listServers(DATA_DIR).length) {
+    console.log(RED(`${sqlite.databasePath(DATA_DIR)} already has servers; move it away to import again.`));
+    return 1;
+  }
+  const json = await loadStorageBackend('json');
+  const counts = sqlite.importFromJson(DATA_DIR, json, from);
+  if (!counts) {
+    console.log(RED(`${from} was already imported into ${sqlite.databasePath(DATA_DIR)}.`));
+    return 1;
+  }
+  console.log(`✔ Imported ${from} into ${sqlite.databasePath(DATA_DIR)}`);
+  for (const [k, v] of Object.entries(counts)) console.log(`  ${k}: ${v}`);
+  console.log('Set CRYER_STORAGE=sqlite to use it.');
+  return 0;
+}
+
 async function logsUI() {
   const exists = fs.existsSync(LOG_PATH);
   if (!exists) {
@@ -0,0 +1,82 @@
+// Local stand-in for Discord's public invite endpoint, for offline invite checks.
+//
+//   npm run fake-discord           (listens on FAKE_DISCORD_PORT, default 8390)
+//   DISCORD_API_BASE_URL=http://127.0.0.1:8390/api/v10 npm start
+//
+// Invites are registered through control routes; unknown codes answer 404 like Discord does.
+//   POST /__fake/invites {"code":"abc","guildId":"123456789012345678","guildName":"Cozy","expiresAt":null,"temporary":false}
+//   POST /__fake/script {"status":429,"times":2}
+import path from 'path';
+import express from 'express';
+import { fileURLToPath } from 'url';
+
+function defaultState() {
+  return {
+    invites: new Map([['abc', { code: 'abc', guildId: '100000000000000001', guildName: 'Fake Guild', expiresAt: null, temporary: false }]]),
+    scripts: [],
+    lookups: 0
+  };
+}
+
+export function createFakeDiscord() {
+  const state = defaultState();
+  const app = express();
+  app.use(express.json());
+
+  app.get('/api/v10/invites/:code', (req, res) => {
+    state.lookups += 1;
+    const script = state.scripts[0];
+    if (script) {
+      script.times = (script.times ?? 1) - 1;
+      if (script.times <= 0) state.scripts.shift();
+      return res.status(script.status || 500).json({ message: 'scripted failure', code: 0 });
+    }
+    const inv = state.invites.get(req.params.code);
+    if (!inv) return res.status(404).json({ message: 'Unknown Invite', code: 10006 });
+    res.json({
+      type: 0,
+      code: inv.code,
+      expires_at: inv.expiresAt,
+      temporary: !!inv.temporary,
+      guild: { id: inv.guildId, name: inv.guildName },
+      channel: { id: '100000000000000002', name: 'general', type: 0 }
+    });
+  });
+
+  app.post('/__fake/invites', (req, res) => {
+    const { code, guildId = '100000000000000001', guildName = 'Fake Guild', expiresAt = null, temporary = false } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'code required' });
+    state.invites.set(code, { code, guildId, guildName, expiresAt, temporary: !!temporary });
+    res.json({ ok: true });
+  });
+
+  app.delete('/__fake/invites/:code', (req, res) => {
+    res.json({ ok: state.invites.delete(req.params.code) });
+  });
+
+  app.post('/__fake/script', (req, res) => {
+    state.scripts.push({ ...(req.body || {}) });
+    res.json({ ok: true, pending: state.scripts.length });
+  });
+
+  app.get('/__fake/state', (_req, res) => {
+    res.json({ invites: [...state.invites.values()], lookups: state.lookups, scripts: state.scripts });
+  });
+
+  app.post('/__fake/reset', (_req, res) => {
+    Object.assign(state, defaultState());
+    res.json({ ok: true });
+  });
+
+  return { app, state };
+}
+
+// Run standalone: node dev/fake-discord.js
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.FAKE_DISCORD_PORT || '8390', 10);
+  const { app } = createFakeDiscord();
+  app.listen(port, '127.0.0.1', () => {
+    console.log(`Fake Discord listening on http://127.0.0.1:${port}`);
+    console.log(`  DISCORD_API_BASE_URL=http://127.0.0.1:${port}/api/v10`);
+  });
+}
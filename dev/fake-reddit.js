@@ -0,0 +1,352 @@
+// Local Reddit stand-in for offline advertise / removal-monitor runs.
+//
+//   npm run fake-reddit            (listens on FAKE_REDDIT_PORT, default 8389)
+//   REDDIT_BASE_URL=http://127.0.0.1:8389 REDDIT_OAUTH_BASE_URL=http://127.0.0.1:8389 npm start
+//
+// Implements the endpoints lib/reddit.js talks to. Failures are scripted through
+// /__fake/* control routes, e.g.
+//   POST /__fake/script {"endpoint":"submit","errors":[["RATELIMIT","you are doing that too much. try again in 7 minutes.","ratelimit"]]}
+//   POST /__fake/script {"endpoint":"submit","headers":{"x-ratelimit-remaining":"0","x-ratelimit-reset":"3"}}
+//   POST /__fake/script {"endpoint":"submit","omitId":true}
+//   POST /__fake/script {"endpoint":"info","status":503,"times":2}
+//   POST /__fake/remove {"id":"abc123","category":"moderator"}
+//   POST /__fake/users/fakebot {"shadowbanned":true}   (or "is_suspended":true, "created_utc":...)
+//   POST /__fake/spam {"id":"abc123"}   (silently filtered: gone from /r/<sub>/new, /api/info unchanged)
+//   POST /__fake/engage {"id":"abc123","score":42,"upvote_ratio":0.93,"num_comments":7}
+//   POST /__fake/requirements/<sub> {"is_flair_required":true,"title_regexes":["^\\[Discord\\]"]}
+// Image/gallery posts: POST /api/media/asset.json leases an upload to /__media (multipart, like S3),
+// then /api/submit kind=image (no id in the reply, like Reddit) or /api/submit_gallery_post.json.
+// Crossposts: /api/submit kind=crosspost&crosspost_fullname=t3_<id> of an existing post.
+// GET /api/v1/authorize approves at once and redirects back with a code (for `cryerctl auth`);
+// add &user=<name> to authorize as someone other than fakebot, or &deny=1 to refuse.
+import path from 'path';
+import crypto from 'crypto';
+import express from 'express';
+import { fileURLToPath } from 'url';
+
+const ENDPOINTS = ['token', 'submit', 'info', 'submitted', 'new', 'flair', 'me', 'media', 'requirements'];
+
+function defaultState() {
+  return {
+    seq: 0,
+    posts: new Map(),   // id -> post data (Reddit "t3" shape)
+    tokens: new Map(),  // access token -> username
+    codes: new Map(),   // authorization code -> username (single use)
+    assets: new Map(),  // media asset id -> { key, filepath, mimetype, bytes (0 until uploaded) }
+    refreshTokens: new Map(), // refresh token -> username
+    users: new Map([['fakebot', { name: 'fakebot', link_karma: 500, comment_karma: 500, created_utc: Math.floor(Date.now() / 1000) - 365 * 86400 }]]),
+    requirements: {},   // lowercased subreddit -> post_requirements fields (unset ones are empty)
+    flairs: { default: [{ id: 'flair-promo', text: 'Promotion', text_editable: false }, { id: 'flair-custom', text: 'Other', text_editable: true }] },
+    scripts: Object.fromEntries(ENDPOINTS.map(e => [e, []]))
+  };
+}
+
+export function createFakeReddit() {
+  const state = defaultState();
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  const nextId = () => (1000000 + ++state.seq).toString(36);
+  const listing = (children) => ({ kind: 'Listing', data: { after: null, before: null, children: children.map(d => ({ kind: 't3', data: d })) } });
+
+  function ensureUser(name) {
+    if (!state.users.has(name)) {
+      state.users.set(name, { name, link_karma: 500, comment_karma: 500, created_utc: Math.floor(Date.now() / 1000) - 365 * 86400 });
+    }
+    return state.users.get(name);
+  }
+
+  // Pop the next scripted behaviour for an endpoint, if any.
+  function takeScript(endpoint) {
+    const queue = state.scripts[endpoint];
+    if (!queue.length) return null;
+    const s = queue[0];
+    s.times = (s.times ?? 1) - 1;
+    if (s.times <= 0) queue.shift();
+    return s;
+  }
+
+  // Apply status/headers of a script; returns true when the response was already sent.
+  function applyScript(res, script) {
+    res.set({ 'x-ratelimit-used': '1', 'x-ratelimit-remaining': '599', 'x-ratelimit-reset': '600' });
+    if (!script) return false;
+    if (script.headers) res.set(script.headers);
+    if (script.status && script.status >= 400) {
+      res.status(script.status).json(script.body || { message: 'scripted failure', error: script.status });
+      return true;
+    }
+    return false;
+  }
+
+  function bearer(req, res) {
+    const m = /^Bearer (.+)$/.exec(req.header('Authorization') || '');
+    const user = m && state.tokens.get(m[1]);
+    if (!user) { res.status(401).json({ message: 'Unauthorized', error: 401 }); return null; }
+    return user;
+  }
+
+  // ---- OAuth ----
+  app.get('/api/v1/authorize', (req, res) => {
+    const { client_id, response_type, redirect_uri, state: st, user = 'fakebot', deny } = req.query;
+    if (!client_id || response_type !== 'code' || !redirect_uri) return res.status(400).send('bad authorize request');
+    const back = new URL(redirect_uri);
+    if (st) back.searchParams.set('state', st);
+    if (deny) back.searchParams.set('error', 'access_denied');
+    else {
+      const code = crypto.randomBytes(8).toString('hex');
+      state.codes.set(code, user);
+      back.searchParams.set('code', code);
+    }
+    res.redirect(302, back.toString());
+  });
+
+  app.post('/api/v1/access_token', (req, res) => {
+    if (applyScript(res, takeScript('token'))) return;
+    if (!/^Basic /.test(req.header('Authorization') || '')) return res.status(401).json({ error: 'invalid_client' });
+    const { grant_type, username, refresh_token, code } = req.body || {};
+    let user;
+    let newRefresh = null;
+    if (grant_type === 'password') user = username;
+    else if (grant_type === 'refresh_token' && refresh_token) user = state.refreshTokens.get(refresh_token) || 'fakebot';
+    else if (grant_type === 'authorization_code') {
+      user = state.codes.get(code);
+      state.codes.delete(code);
+      if (user) {
+        newRefresh = crypto.randomBytes(16).toString('hex');
+        state.refreshTokens.set(newRefresh, user);
+      }
+    } else return res.status(400).json({ error: 'unsupported_grant_type' });
+    if (!user) return res.status(400).json({ error: 'invalid_grant' });
+    ensureUser(user);
+    const token = crypto.randomBytes(12).toString('hex');
+    state.tokens.set(token, user);
+    const body = { access_token: token, token_type: 'bearer', expires_in: 3600, scope: '*' };
+    if (newRefresh) body.refresh_token = newRefresh;
+    res.json(body);
+  });
+
+  app.get('/api/v1/me', (req, res) => {
+    const script = takeScript('me');
+    if (applyScript(res, script)) return;
+    const user = bearer(req, res); if (!user) return;
+    res.json({ ...ensureUser(user), ...(script?.body || {}) });
+  });
+
+  // ---- submit ----
+  app.post('/api/submit', (req, res) => {
+    const script = takeScript('submit');
+    if (applyScript(res, script)) return;
+    const user = bearer(req, res); if (!user) return;
+    if (script?.errors) return res.json({ json: { errors: script.errors } });
+
+    const { sr, kind, title, text, url, crosspost_fullname, flair_id, flair_text } = req.body || {};
+    if (!sr || !title) return res.json({ json: { errors: [['NO_TEXT', 'we need something here', !sr ? 'sr' : 'title']] } });
+    const parent = kind === 'crosspost' ? state.posts.get(String(crosspost_fullname || '').replace(/^t3_/, '')) : null;
+    if (kind === 'crosspost' && (!parent || parent.removed_by_category)) {
+      return res.json({ json: { errors: [['INVALID_CROSSPOST_THING', 'that post cannot be crossposted', 'crosspost_fullname']] } });
+    }
+    if (kind === 'image' && !uploadedAsset(url)) {
+      return res.json({ json: { errors: [['BAD_IMAGE', 'image must be uploaded through the media lease', 'url']] } });
+    }
+    const post = createPost({ sr, title, user, kind, text, url, flair_id, flair_text });
+    if (parent) post.crosspost_parent = parent.name;
+    // image posts are processed asynchronously on Reddit: the reply has no id
+    const data = kind === 'image'
+      ? { user_submitted_page: `${req.protocol}://${req.get('host')}/user/${user}/submitted/`, websocket_url: 'ws://fake/ws' }
+      : script?.omitId ? {} : { id: post.id, name: post.name, url: `${req.protocol}://${req.get('host')}${post.permalink}` };
+    res.json({ json: { errors: [], data } });
+  });
+
+  app.post('/api/submit_gallery_post.json', (req, res) => {
+    const script = takeScript('submit');
+    if (applyScript(res, script)) return;
+    const user = bearer(req, res); if (!user) return;
+    if (script?.errors) return res.json({ json: { errors: script.errors } });
+    const { sr, title, items, flair_id, flair_text } = req.body || {};
+    if (!sr || !title) return res.json({ json: { errors: [['NO_TEXT', 'we need something here', !sr ? 'sr' : 'title']] } });
+    if (!Array.isArray(items) || items.length < 2 || items.some(i => !state.assets.get(i.media_id)?.bytes)) {
+      return res.json({ json: { errors: [['BAD_GALLERY', 'gallery needs 2+ uploaded images', 'items']] } });
+    }
+    const post = createPost({ sr, title, user, kind: 'gallery', flair_id, flair_text });
+    post.is_gallery = true;
+    post.gallery_data = { items: items.map((i, n) => ({ media_id: i.media_id, id: n + 1, caption: i.caption || '', outbound_url: i.outbound_url || '' })) };
+    res.json({ json: { errors: [], data: { id: post.name, url: `${req.protocol}://${req.get('host')}${post.permalink}` } } });
+  });
+
+  // ---- media lease + upload target ----
+  app.post('/api/media/asset.json', (req, res) => {
+    if (applyScript(res, takeScript('media'))) return;
+    const user = bearer(req, res); if (!user) return;
+    const { filepath, mimetype } = req.body || {};
+    if (!filepath || !/^image\//.test(mimetype || '')) return res.status(400).json({ message: 'filepath and image mimetype required', error: 400 });
+    const assetId = crypto.randomBytes(6).toString('hex');
+    const key = `uploads/${assetId}/${filepath}`;
+    state.assets.set(assetId, { key, filepath, mimetype, bytes: 0 });
+    res.json({
+      args: {
+        action: `//${req.get('host')}/__media`,
+        fields: [{ name: 'key', value: key }, { name: 'Content-Type', value: mimetype }, { name: 'x-amz-meta-asset', value: assetId }]
+      },
+      asset: { asset_id: assetId, websocket_url: 'ws://fake/ws' }
+    });
+  });
+
+  app.post('/__media', express.raw({ type: 'multipart/form-data', limit: '25mb' }), (req, res) => {
+    const raw = Buffer.isBuffer(req.body) ? req.body.toString('latin1') : '';
+    const assetId = /name="x-amz-meta-asset"\r\n\r\n([^\r]+)/.exec(raw)?.[1];
+    const asset = assetId && state.assets.get(assetId);
+    if (!asset || !/name="file"/.test(raw)) return res.status(400).type('application/xml').send('<Error><Code>InvalidArgument</Code></Error>');
+    asset.bytes = req.body.length;
+    res.status(201).type('application/xml').send(`<PostResponse><Location>${req.protocol}://${req.get('host')}/__media/${asset.key}</Location><Key>${asset.key}</Key></PostResponse>`);
+  });
+
+  function uploadedAsset(url) {
+    const key = /\/__media\/(uploads\/.+)$/.exec(String(url || ''))?.[1];
+    return [...state.assets.values()].find(a => a.key === key && a.bytes) || null;
+  }
+
+  function createPost({ sr, title, user, kind, text, url, flair_id, flair_text }) {
+    const id = nextId();
+    const permalink = `/r/${sr}/comments/${id}/${String(title).toLowerCase().replace(/[^a-z0-9]+/g, '_').slice(0, 40)}/`;
+    const post = {
+      id, name: `t3_${id}`, subreddit: sr, title, author: user, is_self: kind === 'self',
+      selftext: kind === 'self' ? (text || '') : '', url: kind === 'link' || kind === 'image' ? url : permalink, permalink,
+      post_hint: kind === 'image' ? 'image' : undefined,
+      link_flair_template_id: flair_id || null, link_flair_text: flair_text || null,
+      created_utc: Math.floor(Date.now() / 1000), removed_by_category: null,
+      score: 1, upvote_ratio: 1, num_comments: 0, view_count: null
+    };
+    state.posts.set(id, post);
+    return post;
+  }
+
+  // ---- lookups ----
+  app.get('/api/info', (req, res) => {
+    if (applyScript(res, takeScript('info'))) return;
+    if (!bearer(req, res)) return;
+    const ids = String(req.query.id || '').split(',').map(x => x.trim().replace(/^t3_/, '')).filter(Boolean);
+    res.json(listing(ids.map(id => state.posts.get(id)).filter(Boolean)));
+  });
+
+  // public profile, no auth: 404 for shadowbanned users like Reddit
+  app.get('/user/:name/about.json', (req, res) => {
+    const user = state.users.get(req.params.name);
+    if (!user || user.shadowbanned) return res.status(404).json({ message: 'Not Found', error: 404 });
+    const data = user.is_suspended
+      ? { name: user.name, is_suspended: true }
+      : { name: user.name, link_karma: user.link_karma, comment_karma: user.comment_karma, created_utc: user.created_utc };
+    res.json({ kind: 't2', data });
+  });
+
+  app.get('/user/:name/submitted', (req, res) => {
+    if (applyScript(res, takeScript('submitted'))) return;
+    if (!bearer(req, res)) return;
+    const limit = Math.min(parseInt(req.query.limit || '25', 10) || 25, 100);
+    const mine = [...state.posts.values()]
+      .filter(p => p.author.toLowerCase() === req.params.name.toLowerCase())
+      .sort((a, b) => b.created_utc - a.created_utc || b.id.localeCompare(a.id))
+      .slice(0, limit);
+    res.json(listing(mine));
+  });
+
+  // spam-filtered posts stay visible through /api/info but drop out of listings
+  app.get('/r/:sub/new', (req, res) => {
+    if (applyScript(res, takeScript('new'))) return;
+    if (!bearer(req, res)) return;
+    const limit = Math.min(parseInt(req.query.limit || '25', 10) || 25, 100);
+    const posts = [...state.posts.values()]
+      .filter(p => p.subreddit.toLowerCase() === req.params.sub.toLowerCase() && !p.spam_filtered && !p.removed_by_category)
+      .sort((a, b) => b.created_utc - a.created_utc || b.id.localeCompare(a.id))
+      .slice(0, limit);
+    res.json(listing(posts));
+  });
+
+  app.get('/r/:sub/api/link_flair_v2', (req, res) => {
+    if (applyScript(res, takeScript('flair'))) return;
+    if (!bearer(req, res)) return;
+    res.json(state.flairs[req.params.sub.toLowerCase()] || state.flairs.default);
+  });
+
+  app.get('/api/v1/:sub/post_requirements', (req, res) => {
+    if (applyScript(res, takeScript('requirements'))) return;
+    if (!bearer(req, res)) return;
+    res.json({
+      title_regexes: [], body_regexes: [], title_required_strings: [], body_required_strings: [],
+      title_blacklisted_strings: [], body_blacklisted_strings: [], domain_blacklist: [], domain_whitelist: [],
+      title_text_min_length: null, title_text_max_length: null, body_text_min_length: null, body_text_max_length: null,
+      body_restriction_policy: 'none', is_flair_required: false, link_repost_age: null, guidelines_text: null,
+      gallery_min_items: null, gallery_max_items: null, gallery_captions_requirement: 'none', gallery_urls_requirement: 'none',
+      ...state.requirements[req.params.sub.toLowerCase()]
+    });
+  });
+
+  // ---- control ----
+  app.post('/__fake/script', (req, res) => {
+    const { endpoint, ...script } = req.body || {};
+    if (!ENDPOINTS.includes(endpoint)) return res.status(400).json({ error: `endpoint must be one of ${ENDPOINTS.join(', ')}` });
+    state.scripts[endpoint].push(script);
+    res.json({ ok: true, pending: state.scripts[endpoint].length });
+  });
+
+  app.post('/__fake/remove', (req, res) => {
+    const { id, category = 'moderator' } = req.body || {};
+    const post = state.posts.get(String(id || '').replace(/^t3_/, ''));
+    if (!post) return res.status(404).json({ error: 'no such post' });
+    post.removed_by_category = category;
+    res.json({ ok: true, post });
+  });
+
+  app.post('/__fake/spam', (req, res) => {
+    const post = state.posts.get(String(req.body?.id || '').replace(/^t3_/, ''));
+    if (!post) return res.status(404).json({ error: 'no such post' });
+    post.spam_filtered = req.body.spam !== false;
+    res.json({ ok: true, post });
+  });
+
+  app.post('/__fake/engage', (req, res) => {
+    const { id, ...fields } = req.body || {};
+    const post = state.posts.get(String(id || '').replace(/^t3_/, ''));
+    if (!post) return res.status(404).json({ error: 'no such post' });
+    for (const k of ['score', 'upvote_ratio', 'num_comments']) if (fields[k] !== undefined) post[k] = fields[k];
+    res.json({ ok: true, post });
+  });
+
+  app.post('/__fake/users/:name', (req, res) => {
+    const user = ensureUser(req.params.name);
+    Object.assign(user, req.body || {});
+    res.json({ ok: true, user });
+  });
+
+  app.post('/__fake/flairs/:sub', (req, res) => {
+    if (!Array.isArray(req.body)) return res.status(400).json({ error: 'expected an array of flairs' });
+    state.flairs[req.params.sub.toLowerCase()] = req.body;
+    res.json({ ok: true });
+  });
+
+  app.post('/__fake/requirements/:sub', (req, res) => {
+    state.requirements[req.params.sub.toLowerCase()] = req.body || {};
+    res.json({ ok: true });
+  });
+
+  app.get('/__fake/state', (_req, res) => {
+    res.json({ posts: [...state.posts.values()], users: [...state.users.values()], scripts: state.scripts });
+  });
+
+  app.post('/__fake/reset', (_req, res) => {
+    Object.assign(state, defaultState());
+    res.json({ ok: true });
+  });
+
+  return { app, state };
+}
+
+// Run standalone: node dev/fake-reddit.js
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.FAKE_REDDIT_PORT || '8389', 10);
+  const { app } = createFakeReddit();
+  app.listen(port, '127.0.0.1', () => {
+    console.log(`Fake Reddit listening on http://127.0.0.1:${port}`);
+    console.log(`  REDDIT_BASE_URL=http://127.0.0.1:${port} REDDIT_OAUTH_BASE_URL=http://127.0.0.1:${port}`);
+  });
+}
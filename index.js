@@ -5,33 +5,73 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 
 import {
-  getToken, submitPost, sleep, rateLimitPause,
-  resolveRecentSubmission, fetchSubmissionInfo, classifyRemoval
+  getToken, submitPost, submitGalleryPost, uploadMedia, sleep, rateLimitPause,
+  resolveRecentSubmission, fetchSubmissionInfos, fetchSubredditNew, classifyRemoval, fetchPostRequirements,
+  checkAccountHealth, ACCOUNT_CHECK_ENABLED
 } from './lib/reddit.js';
 import {
-  listServers, getServerPaths, readJSON, writeJSON,
-  ensureServerScaffold, readServerConfig, defaultServerConfig,
-  appendPostedRecord, listPostedRecords, writePostedRecords,
-  updateServerLastAdAt, addSchedule, listSchedules, removeSchedule
+  listServers, serverExists, listSubreddits, upsertSubreddit, updateSubreddit, deleteSubreddit,
+  listQueue, enqueueTemplate, dequeueTemplate, readCooldowns, setCooldown,
+  ensureServerScaffold, readServerConfig, updateServerConfig, defaultServerConfig, deleteServer, slugifyName, isSafeServerKey,
+  appendPostedRecord, listPostedRecords, updatePostedRecords,
+  updateServerLastAdAt, addSchedule, scheduleSubreddit, listSchedules, removeSchedule,
+  getSchedule, updateSchedule, appendScheduleHistory, listScheduleHistory,
+  scheduleState, pruneFinishedSchedules,
+  acquireSessionLock, renewSessionLock, releaseSessionLock, listSessionLocks, setLockWaitMs
 } from './lib/store.js';
 import { log } from './lib/logger.js';
-import { resolveCallbackHost } from './lib/network.js';
+import { loadPolicyCatalog, resolveRules } from './lib/policy.js';
+import { validatePost, loadCustomRules } from './lib/validation.js';
+import { cooldownMs, parseDuration, formatDuration, withCooldown } from './lib/rules.js';
+import { hasRecurrence, normalizeRecurrence, nextRecurrenceMs } from './lib/cron.js';
+import { buildSchedulePatch } from './lib/schedules.js';
+import { accountForServer, findAccount, listAccounts, publicAccount, accountLockName } from './lib/accounts.js';
+import { templateVariables, renderPost, usesVariable } from './lib/templates.js';
+import { hasVariants, pickVariant, applyVariant, variantStats, variantStrategy, variantAfter } from './lib/variants.js';
+import { normalizeRemovalPolicy, pauseWindowMs, removalsSince, REMOVAL_STATE_FIELDS, withoutRemovalState } from './lib/removal.js';
+import { snapshotOf, snapshotDue, subredditStats } from './lib/stats.js';
+import { findInvalidInvite } from './lib/discord.js';
+import { serverMediaDir, resolveMediaFile, mimeTypeOf } from './lib/media.js';
+import { POST_REQUIREMENTS_ENABLED } from './lib/requirements.js';
+import { normalizeServerKey, normalizeGuildId, normalizeServerDefaults, normalizeSubredditEntry } from './lib/entries.js';
+import {
+  MONITOR_TICK_MS, MONITOR_DEFAULT_TTL_MS, SPAM_MISSES_REQUIRED, NEW_LISTING_LIMIT, monitorSettings, coveredByListing
+} from './lib/monitor.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.resolve(process.env.CRYER_DATA_DIR || './data');
 const PORT = parseInt(process.env.CRYER_PORT || '8383', 10);
 const BIND = process.env.CRYER_BIND || '127.0.0.1';
 const SHARED_KEY = process.env.CRYER_SHARED_KEY || '';
-const CALLBACK_HOST = resolveCallbackHost(BIND);
+
+// store calls are sync: waiting on cryerctl's lock stalls every request and timer, so keep it short
+const STORE_LOCK_WAIT_MS = parseInt(process.env.CRYER_STORE_LOCK_WAIT_MS || '1000', 10);
+setLockWaitMs(STORE_LOCK_WAIT_MS);
 
 const SQUIRE_NOTIFY_URL = process.env.SQUIRE_NOTIFY_URL || '';
 const SQUIRE_SHARED_KEY = process.env.SQUIRE_SHARED_KEY || '';
 
 const SERVER_ROLLING_WINDOW_MS = 24 * 3600 * 1000; // server-level throttle window
 const SCHEDULE_TICK_MS = parseInt(process.env.CRYER_SCHEDULE_TICK_MS || '60000', 10); // 60s
+const SCHEDULE_MAX_ATTEMPTS = parseInt(process.env.CRYER_SCHEDULE_MAX_ATTEMPTS || '5', 10);
+const SCHEDULE_RETRY_BASE_MS = 60 * 1000; // doubles per attempt
+const SCHEDULE_RETRY_MAX_MS = 60 * 60 * 1000;
+const SCHEDULE_KEEP_FINISHED_MS = 7 * 24 * 3600 * 1000;
+const SESSION_LEASE_MS = 2 * 60 * 1000; // renewed every third of this while the session runs
+const SESSION_QUEUE_MAX_WAIT_MS = parseInt(process.env.CRYER_SESSION_QUEUE_MAX_WAIT_MS || String(30 * 60 * 1000), 10);
+const SESSION_QUEUE_POLL_MS = 2000;
+// RATELIMIT waits up to this long are slept through in-session; longer ones end posting for the session
+const RATELIMIT_MAX_PAUSE_MS = parseInt(process.env.CRYER_RATELIMIT_MAX_PAUSE_MS || '300000', 10); // 5 min
+const RATELIMIT_DEFAULT_WAIT_MS = 10 * 60 * 1000; // when Reddit does not say how long
+const CROSSPOST_SOURCE_MAX_AGE_S = 24 * 3600; // an earlier session's post still counts as the canonical one
 
 fs.mkdirSync(DATA_DIR, { recursive: true });
 
+// custom validation rules: <data>/rules/*.js
+const customRules = await loadCustomRules(path.join(DATA_DIR, 'rules'));
+if (customRules.loaded.length) log.info('rules.custom_loaded', { codes: customRules.loaded });
+for (const f of customRules.failed) log.error('rules.custom_error', f);
+
 const app = express();
 app.use(express.json({ limit: '256kb' }));
 
@@ -73,45 +113,256 @@ function withServerDefaults(serverKey, post, providedDefaults = null) {
   if (!out.title && d.title) out.title = d.title;
   if (out.type === 'self') {
     if (!out.body && d.body) out.body = d.body;
-    if (d.invite && out.body && !out.body.includes(d.invite)) out.body += `\n\n${d.invite}`;
+    // a body that places {{invite}} itself gets it there when rendered
+    if (d.invite && out.body && !out.body.includes(d.invite) && !usesVariable(out.body, 'invite')) out.body += `\n\n${d.invite}`;
     if (d.invite && !out.body) out.body = d.invite;
   } else if (out.type === 'link') {
     if (!out.url && d.invite) out.url = d.invite;
+  } else if (out.type === 'gallery' && d.invite && Array.isArray(out.images)) {
+    // gallery images link out to the invite unless they name their own target
+    out.images = out.images.map(i => i?.outboundUrl ? i : { ...i, outboundUrl: d.invite });
   }
   return out;
 }
 
+// Crosspost mode: an entry with post { type: 'crosspost', crosspostOf: '<entry key>' } crossposts
+// the canonical post of that entry instead of submitting its own. Crosspost entries run after the
+// others, so the canonical post of the same session is known; without one, the source entry's
+// newest live post of the last CROSSPOST_SOURCE_MAX_AGE_S is used.
+const isCrosspost = (entry) => entry.post?.type === 'crosspost';
+const lowerKey = (x) => String(x || '').toLowerCase();
+
+function recentCanonicalPost(serverKey, sourceEntry) {
+  const since = Math.floor(Date.now() / 1000) - CROSSPOST_SOURCE_MAX_AGE_S;
+  const rec = listPostedRecords(DATA_DIR, serverKey, { status: 'live' })
+    .filter(r => lowerKey(r.subreddit) === lowerKey(sourceEntry.subreddit) && !r.crosspostOf && (r.createdUtc || 0) >= since)
+    .pop();
+  return rec ? { id: rec.id, subreddit: rec.subreddit, title: rec.title || '' } : null;
+}
+
+// Reddit submit fields for a post; image and gallery files are uploaded first (lib/media.js).
+async function buildSubmission(serverKey, subreddit, post, token, account, canonical = null) {
+  const base = { sr: subreddit, title: post.title, flair_id: post.flair_id, flair_text: post.flair_text };
+  if (post.type === 'crosspost') return { ...base, kind: 'crosspost', crosspost_fullname: `t3_${canonical.id}` };
+  const mediaDir = serverMediaDir(DATA_DIR, serverKey);
+  const upload = (file) => {
+    const full = resolveMediaFile(mediaDir, file);
+    return uploadMedia(token, full, mimeTypeOf(full), account);
+  };
+  if (post.type === 'image') return { ...base, kind: 'image', url: (await upload(post.image)).url };
+  if (post.type === 'gallery') {
+    const items = [];
+    for (const img of post.images) {
+      const { assetId } = await upload(img.file);
+      items.push({ media_id: assetId, caption: img.caption || '', outbound_url: img.outboundUrl || '' });
+    }
+    return { ...base, items };
+  }
+  if (post.type === 'link') return { ...base, kind: 'link', url: post.url };
+  return { ...base, kind: 'self', text: post.body };
+}
+
+function countStatuses(results) {
+  return results.reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+}
+
 // --- API ---
+const isRegisteredServer = (serverKey) => typeof serverKey === 'string' && listServers(DATA_DIR).some(s => s.key === serverKey);
+
 app.post('/v1/register-server', auth, async (req, res) => {
-  const { serverKey, name } = req.body || {};
+  const { serverKey, name, guildId } = req.body || {};
   if (!serverKey) return res.status(400).json({ error: 'serverKey required' });
+  if (!isRegisteredServer(serverKey)) {
+    try { normalizeServerKey(serverKey); } catch (e) { return res.status(400).json({ error: e.message }); }
+  }
+  if (guildId !== undefined && !/^\d{15,21}$/.test(String(guildId))) return res.status(400).json({ error: 'guildId must be a Discord id (snowflake)' });
   await ensureServerScaffold(DATA_DIR, serverKey, name || serverKey);
+  // the Discord guild the server's invites must lead to (lib/discord.js)
+  if (guildId !== undefined) updateServerConfig(DATA_DIR, serverKey, cfg => { cfg.guildId = String(guildId); });
   return res.json({ ok: true });
 });
 
-// Auto-post scheduler creation
+// Auto-post scheduler creation (optionally for a subset of the server's subreddits).
+// One-shot: { at | afterMs }. Recurring: { cron | daily: "HH:MM" | window: "HH:MM-HH:MM", tz?, jitterMinutes? }.
 app.post('/v1/schedule-advertise', auth, async (req, res) => {
-  const { serverKey, at, afterMs } = req.body || {};
+  const { serverKey, at, afterMs, subreddits } = req.body || {};
   if (!serverKey) return res.status(400).json({ error: 'serverKey required' });
+  if (!isSafeServerKey(serverKey)) return res.status(400).json({ error: 'invalid serverKey' });
+  if (subreddits !== undefined && !(Array.isArray(subreddits) && subreddits.every(x => typeof x === 'string' && x))) {
+    return res.status(400).json({ error: 'subreddits must be an array of names' });
+  }
+
+  if (hasRecurrence(req.body)) {
+    let recurrence;
+    try {
+      recurrence = normalizeRecurrence(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const whenMs = nextRecurrenceMs(recurrence);
+    if (whenMs === null) return res.status(400).json({ error: 'schedule never fires' });
+    const entry = addSchedule(DATA_DIR, { serverKey, whenMs, reason: 'recurring', subreddits, recurrence });
+    log.info('schedule.created', { serverKey, whenMs, id: entry.id, recurrence, from: 'api' });
+    return res.json({ ok: true, schedule: entry });
+  }
+
   const whenMs = Number.isFinite(afterMs) ? (Date.now() + Number(afterMs)) : Number(at);
   if (!Number.isFinite(whenMs)) return res.status(400).json({ error: 'at or afterMs required' });
-  const entry = addSchedule(DATA_DIR, { serverKey, whenMs, reason: 'manual' });
-  log.info('schedule.created', { serverKey, whenMs, id: entry.id, from: 'api' });
+  const entry = addSchedule(DATA_DIR, { serverKey, whenMs, reason: 'manual', subreddits });
+  log.info('schedule.created', { serverKey, whenMs, id: entry.id, subreddits: entry.subreddits, from: 'api' });
   return res.json({ ok: true, schedule: entry });
 });
 
-// Main advertise endpoint
-app.post('/v1/advertise', auth, async (req, res) => {
-  const { serverKey, dryRun, autoScheduleIfThrottled } = req.body || {};
-  if (!serverKey) return res.status(400).json({ error: 'serverKey required' });
+// Pending entries plus recently fired runs; ?serverKey= filters, ?limit= caps the history.
+app.get('/v1/schedules', auth, async (req, res) => {
+  const serverKey = req.query.serverKey ? String(req.query.serverKey) : null;
+  const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 500);
+  const schedules = listSchedules(DATA_DIR)
+    .filter(s => !serverKey || s.serverKey === serverKey)
+    .sort((a, b) => a.whenMs - b.whenMs);
+  const recent = listScheduleHistory(DATA_DIR, { serverKey, limit });
+  return res.json({ ok: true, schedules, recent });
+});
+
+app.get('/v1/schedules/:id', auth, async (req, res) => {
+  const entry = getSchedule(DATA_DIR, req.params.id);
+  const history = listScheduleHistory(DATA_DIR, { scheduleId: req.params.id });
+  if (!entry && !history.length) return res.status(404).json({ error: 'schedule not found' });
+  return res.json({ ok: true, schedule: entry, history });
+});
 
-  log.info('session.start', { serverKey, dryRun: !!dryRun });
+function patchScheduleRoute(input) {
+  return async (req, res) => {
+    const current = getSchedule(DATA_DIR, req.params.id);
+    if (!current) return res.status(404).json({ error: 'schedule not found' });
+    let patch;
+    try {
+      patch = buildSchedulePatch(current, input(req));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!Object.keys(patch).length) return res.status(400).json({ error: 'nothing to update' });
+    const entry = updateSchedule(DATA_DIR, current.id, patch);
+    log.info('schedule.updated', { id: entry.id, serverKey: entry.serverKey, fields: Object.keys(patch), whenMs: entry.whenMs });
+    return res.json({ ok: true, schedule: entry });
+  };
+}
+
+app.patch('/v1/schedules/:id', auth, patchScheduleRoute(req => req.body || {}));
+app.post('/v1/schedules/:id/pause', auth, patchScheduleRoute(() => ({ paused: true })));
+app.post('/v1/schedules/:id/resume', auth, patchScheduleRoute(() => ({ paused: false })));
+
+app.delete('/v1/schedules/:id', auth, async (req, res) => {
+  const current = getSchedule(DATA_DIR, req.params.id);
+  if (!current) return res.status(404).json({ error: 'schedule not found' });
+  removeSchedule(DATA_DIR, current.id);
+  log.info('schedule.cancelled', { id: current.id, serverKey: current.serverKey });
+  return res.json({ ok: true, schedule: current });
+});
+
+// Take the server + account session lock, waiting for it when `queue` is set.
+// Resolves to { lock } or { conflict }.
+async function takeSessionLock(serverKey, account, queue) {
+  const deadline = Date.now() + SESSION_QUEUE_MAX_WAIT_MS;
+  let queued = false;
+  while (true) {
+    const got = acquireSessionLock(DATA_DIR, { serverKey, account: accountLockName(account), leaseMs: SESSION_LEASE_MS });
+    for (const l of got.expired || []) log.warn('session.lock_expired', l);
+    if (got.lock || !queue || Date.now() >= deadline) return got;
+    if (!queued) {
+      queued = true;
+      log.info('session.queued', { serverKey, behind: got.conflict.sessionId });
+    }
+    await sleep(SESSION_QUEUE_POLL_MS);
+  }
+}
+
+// Problems when the account's known karma or age fails the requirement of every entry that has
+// one and no entry is left without one; null when some entry can still be posted.
+function accountShortfalls(health, entries, catalog) {
+  const karma = new Set();
+  const age = new Set();
+  for (const entry of entries) {
+    let rules;
+    try { rules = resolveRules(catalog, entry); } catch { continue; } // reported per subreddit
+    const lowKarma = Number.isFinite(rules.karmaRequired) && Number.isFinite(health.karma) && health.karma < rules.karmaRequired;
+    const tooNew = Number.isFinite(rules.minAccountAgeDays) && Number.isFinite(health.ageDays) && health.ageDays < rules.minAccountAgeDays;
+    if (!lowKarma && !tooNew) return null;
+    if (lowKarma) karma.add(rules.karmaRequired);
+    if (tooNew) age.add(rules.minAccountAgeDays);
+  }
+  if (!karma.size && !age.size) return null;
+  const problems = [];
+  if (karma.size) problems.push(`account karma ${health.karma} is below the ${Math.min(...karma)} required`);
+  if (age.size) problems.push(`account is ${health.ageDays} days old, below the ${Math.min(...age)} days required`);
+  return problems;
+}
+
+// Advertise session guarded by the session lock (dry runs post nothing and skip it).
+// A conflicting live session yields 409 with its sessionId unless `queue` is set, in which case
+// this waits up to CRYER_SESSION_QUEUE_MAX_WAIT_MS for it to finish.
+async function runAdvertiseSession(opts = {}) {
+  if (!opts.serverKey) return { httpStatus: 400, body: { error: 'serverKey required' } };
+  if (!isSafeServerKey(opts.serverKey)) return { httpStatus: 400, body: { error: 'invalid serverKey' } };
+  let account;
+  try {
+    account = accountForServer(DATA_DIR, opts.serverKey);
+  } catch (e) {
+    // a dry run needs no credentials unless a rule looks up karma or account age
+    if (opts.dryRun) return advertiseSession({ ...opts, account: null });
+    return { httpStatus: 400, body: { error: e.message } };
+  }
+  if (opts.dryRun) return advertiseSession({ ...opts, account });
+
+  const { lock, conflict } = await takeSessionLock(opts.serverKey, account, !!opts.queue);
+  if (!lock) {
+    log.info('session.conflict', { serverKey: opts.serverKey, runningSessionId: conflict.sessionId });
+    return {
+      httpStatus: 409,
+      body: {
+        error: 'an advertise session is already running for this server or account',
+        sessionId: conflict.sessionId, serverKey: conflict.serverKey, account: conflict.account, startedMs: conflict.startedMs
+      }
+    };
+  }
+  const heartbeat = setInterval(() => {
+    try {
+      if (!renewSessionLock(DATA_DIR, lock.sessionId, SESSION_LEASE_MS)) log.warn('session.lock_lost', { sessionId: lock.sessionId });
+    } catch (e) {
+      log.warn('session.lock_renew_error', { sessionId: lock.sessionId, error: e.message });
+    }
+  }, SESSION_LEASE_MS / 3);
+  try {
+    const out = await advertiseSession({ ...opts, account, sessionId: lock.sessionId });
+    if (out.body && typeof out.body === 'object') out.body.sessionId = lock.sessionId;
+    return out;
+  } finally {
+    clearInterval(heartbeat);
+    releaseSessionLock(DATA_DIR, lock.sessionId);
+  }
+}
+
+// One advertise session; used by POST /v1/advertise and the schedule runner (through runAdvertiseSession).
+// `subreddits` limits the session to those entries (by key or name); such targeted
+// sessions skip the server-level throttle and leave lastAdAt alone. Per-sub cooldowns still apply.
+// Resolves to { httpStatus, body }; throws only on unexpected failures (token, network).
+async function advertiseSession({ serverKey, dryRun, autoScheduleIfThrottled, subreddits: only, sessionId, account } = {}) {
+  if (!serverKey) return { httpStatus: 400, body: { error: 'serverKey required' } };
+  if (only !== undefined && !(Array.isArray(only) && only.length && only.every(x => typeof x === 'string'))) {
+    return { httpStatus: 400, body: { error: 'subreddits must be a non-empty array of names' } };
+  }
+  const targeted = Array.isArray(only);
+
+  log.info('session.start', { serverKey, sessionId, account: account?.key, dryRun: !!dryRun, subreddits: only });
 
   // server-level throttle: rolling 24h from last session
   const serverCfg = readServerConfig(DATA_DIR, serverKey);
   const lastAdAt = Number(serverCfg.lastAdAt || 0);
   const nowMs = Date.now();
-  if (lastAdAt && (nowMs - lastAdAt) < SERVER_ROLLING_WINDOW_MS) {
+  if (!targeted && lastAdAt && (nowMs - lastAdAt) < SERVER_ROLLING_WINDOW_MS) {
     const throttleUntil = lastAdAt + SERVER_ROLLING_WINDOW_MS;
     log.info('session.throttled', { serverKey, throttleUntil });
     let scheduled = null;
@@ -120,203 +371,831 @@ app.post('/v1/advertise', auth, async (req, res) => {
       log.info('schedule.created', { serverKey, whenMs: throttleUntil, id: scheduled.id, from: 'throttle' });
     }
     // Do not notify Squire here per requirements
-    return res.json({ ok: true, status: 'throttled', throttleUntil, scheduled });
+    return { httpStatus: 200, body: { ok: true, status: 'throttled', throttleUntil, scheduled } };
   }
 
-  const { serverDir, subsPath, cooldownPath } = getServerPaths(DATA_DIR, serverKey);
-  if (!fs.existsSync(serverDir)) return res.status(404).json({ error: 'server not found' });
+  if (!serverExists(DATA_DIR, serverKey)) return { httpStatus: 404, body: { error: 'server not found' } };
 
-  const subs = readJSON(subsPath, []);
-  const cooldowns = readJSON(cooldownPath, {});
+  const wanted = targeted ? new Set(only.map(x => x.toLowerCase())) : null;
+  const allSubs = listSubreddits(DATA_DIR, serverKey);
+  const subs = allSubs.filter(e => !wanted
+    || wanted.has(String(e.key || e.subreddit).toLowerCase()) || wanted.has(String(e.subreddit).toLowerCase()))
+    .sort((a, b) => isCrosspost(a) - isCrosspost(b)); // canonical posts first
+  const canonicalPosts = new Map(); // lowercased entry key -> { id, subreddit, title } posted this session
+  const cooldowns = readCooldowns(DATA_DIR, serverKey);
   const results = [];
 
   const serverDefaults = resolveServerDefaults(serverKey, serverCfg.defaults);
 
-  const token = dryRun ? null : await getToken();
+  // a dead, temporary or foreign default invite makes every post useless: stop before posting
+  const badInvite = await findInvalidInvite(serverDefaults.invite, { guildId: serverCfg.guildId });
+  if (badInvite) {
+    const invite = { code: badInvite.code, reason: badInvite.reason, guildId: badInvite.guildId, expiresAt: badInvite.expiresAt };
+    log.warn('session.invite_invalid', { serverKey, sessionId, account: account?.key, dryRun: !!dryRun, ...invite });
+    await notifySquire('cryer.session.invite_invalid', {
+      serverKey, account: account?.key, dryRun: !!dryRun, invite, error: badInvite.message
+    });
+    return { httpStatus: 422, body: { ok: false, status: 'invite_invalid', error: badInvite.message, invite } };
+  }
+  // a suspended or shadowbanned account "posts" into the void: stop before posting
+  let health = null;
+  async function accountUnhealthy(problems) {
+    const error = problems.join('; ');
+    const detail = { username: health.username, suspended: health.suspended, shadowbanned: health.shadowbanned, karma: health.karma, ageDays: health.ageDays };
+    log.warn('session.account_unhealthy', { serverKey, sessionId, account: account.key, dryRun: !!dryRun, ...detail });
+    await notifySquire('cryer.session.account_unhealthy', { serverKey, account: account.key, dryRun: !!dryRun, error, ...detail });
+    return { httpStatus: 422, body: { ok: false, status: 'account_unhealthy', error, account: account.key, health: detail } };
+  }
+  if (account && ACCOUNT_CHECK_ENABLED) {
+    health = await checkAccountHealth(account);
+    if (!health.ok) return accountUnhealthy(health.problems);
+    // lookups that failed do not stop the session (the karma and age rules then fail per subreddit),
+    // but Squire hears about it
+    if (health.unverified.length) {
+      log.warn('account.health_unverified', { serverKey, sessionId, account: account.key, reasons: health.unverified });
+      await notifySquire('cryer.session.account_unverified', { serverKey, account: account.key, dryRun: !!dryRun, reasons: health.unverified });
+    }
+  }
+
+  // past outcomes drive variant selection; only read when some entry has variants
+  const postedRecords = subs.some(hasVariants) ? listPostedRecords(DATA_DIR, serverKey) : [];
+
+  let catalog;
+  try {
+    catalog = loadPolicyCatalog();
+  } catch (e) {
+    log.error('policy.catalog_error', { serverKey, error: e.message });
+    return { httpStatus: 500, body: { error: e.message } };
+  }
+
+  // an account below every selected subreddit's karmaRequired / minAccountAgeDays can post nowhere
+  if (health?.ok) {
+    const shortfalls = accountShortfalls(health, subs.filter(e => !e.paused), catalog);
+    if (shortfalls) return accountUnhealthy(shortfalls);
+  }
+
+  const token = dryRun ? null : await getToken(account);
+
+  // karma and age for karmaRequired / minAccountAgeDays; from the health check when it ran
+  async function accountFacts() {
+    if (!health) health = account ? await checkAccountHealth(account) : { karma: null, ageDays: null, unverified: ['no Reddit account configured'] };
+    return health;
+  }
+
+  // the subreddit's post requirements; null (rule passes) when they cannot be fetched
+  async function postRequirements(subreddit) {
+    try {
+      if (!account) throw new Error('no Reddit account configured');
+      return await fetchPostRequirements(subreddit, account);
+    } catch (e) {
+      log.warn('subreddit.requirements_error', { serverKey, subreddit, error: e.message });
+      return null;
+    }
+  }
 
   let postedCount = 0;
+  let rateLimitedUntil = 0; // account-wide: once Reddit says wait, the remaining subs wait too
+
+  // re-run just this sub when it can post again instead of waiting for the next server session
+  function scheduleRetry(entry, detail, whenMs, reason) {
+    if (dryRun) return;
+    const s = scheduleSubreddit(DATA_DIR, { serverKey, subreddit: entry.key || entry.subreddit, whenMs, reason });
+    detail.scheduled = { id: s.id, whenMs: s.whenMs };
+    log.info('schedule.created', { serverKey, subreddit: entry.subreddit, whenMs: s.whenMs, id: s.id, from: reason });
+  }
 
   for (const entry of subs) {
     const { subreddit } = entry;
-    const rules = entry.rules || {};
+    // paused by a removal policy (lib/removal.js) until resumed from cryerctl
+    if (entry.paused) {
+      const detail = { subreddit, status: 'skip_paused', pausedMs: entry.paused.atMs, reason: entry.paused.reason };
+      results.push(detail);
+      log.info('subreddit.skip_paused', { serverKey, ...detail });
+      continue;
+    }
+    let rules;
+    try {
+      rules = resolveRules(catalog, entry);
+    } catch (e) {
+      const detail = { subreddit, status: 'invalid', errors: [{ code: 'rules_invalid', message: e.message }] };
+      results.push(detail);
+      log.warn('subreddit.invalid', { serverKey, subreddit, codes: ['rules_invalid'], error: e.message });
+      continue;
+    }
     let post = entry.post || { type: 'self', title: '', body: '' };
+    // a removal policy's retry names its variant; otherwise the entry's strategy picks
+    const retry = entry.retryVariant || null;
+    const variant = (retry && entry.variants?.find(v => v.id === retry.variant)) || pickVariant(entry, postedRecords);
+    post = applyVariant(post, variant);
+    let canonical = null;
+    if (post.type === 'crosspost') {
+      const source = allSubs.find(e => lowerKey(e.key || e.subreddit) === lowerKey(post.crosspostOf) && !isCrosspost(e));
+      canonical = source ? canonicalPosts.get(lowerKey(source.key || source.subreddit)) || recentCanonicalPost(serverKey, source) : null;
+      // a crosspost keeps the canonical title unless it sets its own
+      if (canonical && !post.title) post = { ...post, title: canonical.title };
+    }
     post = withServerDefaults(serverKey, post, serverDefaults);
+    // {{variables}} and {a|b} spintax (lib/templates.js): a fresh pick for every submission
+    const rendered = renderPost(post, templateVariables({
+      serverKey, serverName: serverCfg.name, invite: serverDefaults.invite, subreddit, custom: serverCfg.variables
+    }));
+    post = rendered.post;
 
-    // cadence: per-sub days (default 1)
-    const days = Number.isFinite(rules.cooldownDays) ? rules.cooldownDays : 1;
-    const cdMs = days * 24 * 3600000;
+    // cadence: rules model (minutes/hours/days or a duration string; default 1 day)
+    const cdMs = cooldownMs(rules);
     const now = Date.now();
     const last = cooldowns[entry.key || subreddit] || 0;
     const waitMs = cdMs - (now - last);
     if (waitMs > 0) {
-      const detail = { subreddit, status: 'skip_cooldown', inHours: Math.ceil(waitMs / 3600000) };
+      const detail = {
+        subreddit, status: 'skip_cooldown',
+        inHours: Math.ceil(waitMs / 3600000), inMinutes: Math.ceil(waitMs / 60000)
+      };
+      scheduleRetry(entry, detail, now + waitMs, 'cooldown');
       results.push(detail);
       log.info('subreddit.skip_cooldown', { serverKey, ...detail });
       continue;
     }
 
-    // validations
-    const errors = [];
-    const inviteRequired = rules.requirePermanentInvite !== false;
+    // (a crosspost without crosspostOf fails validation instead)
+    if (post.type === 'crosspost' && post.crosspostOf && !canonical) {
+      const detail = { subreddit, status: 'skip_crosspost', crosspostOf: post.crosspostOf, error: `no live post of ${post.crosspostOf} to crosspost` };
+      results.push(detail);
+      log.info('subreddit.skip_crosspost', { serverKey, ...detail });
+      continue;
+    }
 
-    if (!post.title) errors.push('title is required');
-    if (post.type === 'self') {
-      if (!post.body) errors.push('body is required for self posts');
-      if (inviteRequired && post.body && !/(discord\.gg|discord\.com\/invite)\//i.test(post.body)) {
-        errors.push('permanent invite link required in body');
-      }
-    } else if (post.type === 'link') {
-      if (!post.url) errors.push('url is required for link posts');
-      if (inviteRequired && post.url && !/(discord\.gg|discord\.com\/invite)\//i.test(post.url)) {
-        errors.push('permanent invite link required as link URL');
-      }
-    } else {
-      errors.push('unsupported post type');
+    // validations (lib/validation.js registry; warnings never block)
+    const ctx = {
+      serverKey, subreddit, dryRun: !!dryRun, guildId: serverCfg.guildId,
+      mediaDir: serverMediaDir(DATA_DIR, serverKey), unresolvedVariables: rendered.unresolved
+    };
+    if (Number.isFinite(rules.karmaRequired) || Number.isFinite(rules.minAccountAgeDays)) {
+      const facts = await accountFacts();
+      ctx.karma = facts.karma;
+      ctx.accountAgeDays = facts.ageDays;
     }
+    if (POST_REQUIREMENTS_ENABLED) ctx.postRequirements = await postRequirements(subreddit);
+    const { errors, warnings } = await validatePost(post, rules, ctx);
 
     if (errors.length) {
-      results.push({ subreddit, status: 'invalid', errors });
-      log.warn('subreddit.invalid', { serverKey, subreddit, errors });
+      results.push({ subreddit, status: 'invalid', errors, warnings });
+      log.warn('subreddit.invalid', { serverKey, subreddit, codes: errors.map(e => e.code) });
+      continue;
+    }
+    if (warnings.length) log.info('subreddit.warnings', { serverKey, subreddit, codes: warnings.map(w => w.code) });
+
+    if (!dryRun && rateLimitedUntil > Date.now()) {
+      const detail = { subreddit, status: 'rate_limited', code: 'RATELIMIT', retryAt: rateLimitedUntil };
+      scheduleRetry(entry, detail, rateLimitedUntil, 'ratelimit');
+      results.push(detail);
+      log.info('subreddit.rate_limited', { serverKey, ...detail });
       continue;
     }
 
     if (dryRun) {
-      const detail = { subreddit, status: 'dry_run_ok', type: post.type, title: post.title, url: post.url, body: post.body };
+      const detail = { subreddit, status: 'dry_run_ok', type: post.type, title: post.title, url: post.url, body: post.body, warnings };
+      if (post.type === 'image') detail.image = post.image;
+      if (post.type === 'gallery') detail.images = post.images;
+      if (canonical) detail.crosspostOf = { subreddit: canonical.subreddit, id: canonical.id };
+      if (variant) detail.variant = variant.id;
       results.push(detail);
-      log.info('subreddit.dry', { serverKey, subreddit, type: post.type });
+      // crossposts later in this dry run see what would have been posted
+      if (post.type !== 'crosspost') canonicalPosts.set(lowerKey(entry.key || subreddit), { id: null, subreddit, title: post.title });
+      log.info('subreddit.dry', { serverKey, subreddit, type: post.type, variant: variant?.id });
       continue;
     }
 
     try {
-      const resp = await submitPost(token, {
-        sr: subreddit,
-        kind: post.type === 'link' ? 'link' : 'self',
-        title: post.title,
-        text: post.type === 'self' ? post.body : undefined,
-        url: post.type === 'link' ? post.url : undefined,
-        flair_id: post.flair_id,
-        flair_text: post.flair_text
-      });
+      // media is uploaded once, before the first attempt
+      const submission = await buildSubmission(serverKey, subreddit, post, token, account, canonical);
+      const submit = () => post.type === 'gallery'
+        ? submitGalleryPost(token, submission, account)
+        : submitPost(token, submission, account);
+      let resp;
+      try {
+        resp = await submit();
+      } catch (e) {
+        // short RATELIMIT: wait it out and retry once
+        if (e.code !== 'RATELIMIT' || !(e.waitMs <= RATELIMIT_MAX_PAUSE_MS)) throw e;
+        log.info('subreddit.ratelimit_pause', { serverKey, subreddit, waitMs: e.waitMs });
+        await sleep(e.waitMs + 1000);
+        resp = await submit();
+      }
 
       await rateLimitPause(resp);
 
       // update cooldown
-      cooldowns[entry.key || subreddit] = Date.now();
-      writeJSON(cooldownPath, cooldowns);
+      setCooldown(DATA_DIR, serverKey, entry.key || subreddit, Date.now());
 
       // resolve id/permalink robustly
-      let id = resp?.json?.id || resp?.json?.name?.replace(/^t3_/, '') || null;
+      let id = String(resp?.json?.id || resp?.json?.name || '').replace(/^t3_/, '') || null;
       let permalink = resp?.json?.url || null;
       if (!id || !permalink) {
-        const resolved = await resolveRecentSubmission(subreddit, post.title);
+        const resolved = await resolveRecentSubmission(subreddit, post.title, undefined, account);
         if (resolved) { id = resolved.id || id; permalink = resolved.permalink || permalink; }
       }
 
       if (id) {
-        appendPostedRecord(DATA_DIR, serverKey, {
-          id, subreddit, serverKey, createdUtc: Math.floor(Date.now()/1000), status: 'live'
-        });
+        const record = {
+          id, subreddit, entryKey: entry.key || subreddit, serverKey, account: account.key, title: post.title,
+          createdUtc: Math.floor(Date.now()/1000), status: 'live'
+        };
+        if (variant) record.variant = variant.id;
+        if (canonical) record.crosspostOf = canonical.id;
+        if (retry) record.retryOf = retry.retryOf;
+        appendPostedRecord(DATA_DIR, serverKey, record);
+        if (post.type !== 'crosspost') canonicalPosts.set(lowerKey(entry.key || subreddit), { id, subreddit, title: post.title });
       }
 
+      // the retry is used up once something was submitted
+      if (retry) updateSubreddit(DATA_DIR, serverKey, entry.key || subreddit, e => { delete e.retryVariant; });
+
       const detail = { subreddit, status: 'posted', id, permalink };
+      if (canonical) detail.crosspostOf = { subreddit: canonical.subreddit, id: canonical.id };
+      if (retry) detail.retryOf = retry.retryOf;
+      if (variant) detail.variant = variant.id;
+      if (warnings.length) detail.warnings = warnings;
       results.push(detail);
       postedCount += 1;
-      log.info('subreddit.posted', { serverKey, ...detail });
+      log.info('subreddit.posted', { serverKey, account: account.key, ...detail });
     } catch (e) {
-      const detail = { subreddit, status: 'error', error: e.message || String(e) };
+      if (e.code === 'RATELIMIT') {
+        rateLimitedUntil = Date.now() + (e.waitMs || RATELIMIT_DEFAULT_WAIT_MS);
+        const detail = { subreddit, status: 'rate_limited', code: e.code, retryAt: rateLimitedUntil, error: e.message };
+        scheduleRetry(entry, detail, rateLimitedUntil, 'ratelimit');
+        results.push(detail);
+        log.warn('subreddit.rate_limited', { serverKey, account: account.key, ...detail });
+        continue;
+      }
+      const detail = { subreddit, status: 'error', code: e.code || 'UNKNOWN', error: e.message || String(e) };
+      if (e.field) detail.field = e.field;
       results.push(detail);
       log.error('subreddit.error', { serverKey, ...detail });
       await sleep(1000);
     }
   }
 
-  // record server-level lastAdAt if we actually posted at least one (not dry)
-  if (!dryRun && postedCount > 0) {
+  // record server-level lastAdAt if we actually posted at least one (not dry, not a targeted re-run)
+  if (!dryRun && !targeted && postedCount > 0) {
     updateServerLastAdAt(DATA_DIR, serverKey, Date.now());
   }
 
+  // a bad invite in an entry's own post blocks only that subreddit, but Squire hears about it like a
+  // bad default invite (with the subreddits instead of one invite)
+  const badInvites = results.filter(r => r.errors?.some(e => e.code === 'invite_invalid'))
+    .map(r => ({ subreddit: r.subreddit, error: r.errors.find(e => e.code === 'invite_invalid').message }));
+  if (badInvites.length) {
+    log.warn('session.invite_invalid', { serverKey, sessionId, account: account?.key, dryRun: !!dryRun, subreddits: badInvites.map(b => b.subreddit) });
+    await notifySquire('cryer.session.invite_invalid', {
+      serverKey, account: account?.key, dryRun: !!dryRun, subreddits: badInvites, error: badInvites.map(b => `r/${b.subreddit}: ${b.error}`).join('; ')
+    });
+  }
+
   // Session summary -> Squire (only once, not per sub)
   try {
-    const counts = results.reduce((acc, r) => {
-      acc[r.status] = (acc[r.status] || 0) + 1;
-      return acc;
-    }, {});
-    log.info('session.end', { serverKey, dryRun: !!dryRun, counts });
+    const counts = countStatuses(results);
+    log.info('session.end', { serverKey, sessionId, account: account?.key, dryRun: !!dryRun, counts });
     // Notify Squire with non-posted details and overall counts
     await notifySquire('cryer.session.completed', {
-      serverKey, dryRun: !!dryRun, counts, details: results.filter(r => r.status !== 'posted')
+      serverKey, account: account?.key, dryRun: !!dryRun, subreddits: only, counts, details: results.filter(r => r.status !== 'posted')
     });
   } catch {}
 
-  return res.json({ ok: true, results });
+  return { httpStatus: 200, body: { ok: true, results } };
+}
+
+// Main advertise endpoint
+app.post('/v1/advertise', auth, async (req, res) => {
+  try {
+    const { httpStatus, body } = await runAdvertiseSession(req.body || {});
+    return res.status(httpStatus).json(body);
+  } catch (e) {
+    log.error('session.error', { serverKey: req.body?.serverKey, error: e.message });
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Advertise sessions currently holding a lock
+app.get('/v1/sessions', auth, (_req, res) => {
+  return res.json({ ok: true, sessions: listSessionLocks(DATA_DIR) });
+});
+
+// Configured Reddit accounts (secrets omitted)
+app.get('/v1/accounts', auth, (_req, res) => {
+  return res.json({ ok: true, accounts: listAccounts(DATA_DIR).map(publicAccount) });
+});
+
+// Performance per subreddit; ?days=N limits to posts of the last N days
+// :key must name a server in the registry; anything else (including "..") is a 404 before the
+// store touches the filesystem
+function serverOr404(req, res) {
+  const serverKey = req.params.key;
+  if (!isRegisteredServer(serverKey) || !serverExists(DATA_DIR, serverKey)) {
+    res.status(404).json({ error: 'server not found' });
+    return null;
+  }
+  return serverKey;
+}
+
+app.get('/v1/servers/:key/stats', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  let sinceUtc = 0;
+  if (req.query.days !== undefined) {
+    const days = Number(req.query.days);
+    if (!(days > 0)) return res.status(400).json({ error: 'days must be a positive number' });
+    sinceUtc = Math.floor(Date.now() / 1000 - days * 86400);
+  }
+  const subreddits = subredditStats(listPostedRecords(DATA_DIR, serverKey), { sinceUtc });
+  res.json({ ok: true, serverKey, sinceUtc, subreddits });
+});
+
+// A/B outcomes per subreddit entry that has variants
+app.get('/v1/servers/:key/variants', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const records = listPostedRecords(DATA_DIR, serverKey);
+  const subreddits = listSubreddits(DATA_DIR, serverKey).filter(hasVariants).map(e => ({
+    key: e.key || e.subreddit, subreddit: e.subreddit, strategy: variantStrategy(e), variants: variantStats(e, records)
+  }));
+  res.json({ ok: true, serverKey, subreddits });
+});
+
+// --- servers, defaults, subreddits and queue: the edits cryerctl makes, over HTTP ---
+// Bodies are checked by lib/entries.js; bad input is a 400, unknown keys a 404.
+// Replaces a live entry's content, keeping its removal-policy state except the `drop` fields;
+// null when there is no such entry.
+function replaceEntryKeepingState(serverKey, key, content, drop = []) {
+  return updateSubreddit(DATA_DIR, serverKey, key, e => {
+    for (const f of Object.keys(e)) if (!REMOVAL_STATE_FIELDS.includes(f) || drop.includes(f)) delete e[f];
+    Object.assign(e, content);
+  });
+}
+
+const findEntry = (list, key) => list.find(e => (e.key || e.subreddit) === key) || null;
+
+app.get('/v1/servers', auth, (_req, res) => {
+  const servers = listServers(DATA_DIR).map(s => ({
+    ...s, subreddits: listSubreddits(DATA_DIR, s.key).length, queued: listQueue(DATA_DIR, s.key).length
+  }));
+  res.json({ ok: true, servers });
+});
+
+app.post('/v1/servers', auth, async (req, res) => {
+  const { key, name, guildId, defaults } = req.body || {};
+  let serverKey;
+  const patch = {};
+  try {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) throw new Error('name must be a non-empty string');
+    if (key === undefined && name === undefined) throw new Error('key or name required');
+    if (typeof key === 'string' && serverExists(DATA_DIR, key)) return res.status(409).json({ error: 'server already exists', key });
+    serverKey = normalizeServerKey(key ?? slugifyName(name));
+    if (guildId !== undefined) patch.guildId = normalizeGuildId(guildId);
+    if (defaults !== undefined) patch.defaults = normalizeServerDefaults(defaults);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (serverExists(DATA_DIR, serverKey)) return res.status(409).json({ error: 'server already exists', key: serverKey });
+  await ensureServerScaffold(DATA_DIR, serverKey, name?.trim() || serverKey);
+  const server = Object.keys(patch).length
+    ? updateServerConfig(DATA_DIR, serverKey, cfg => { Object.assign(cfg, patch); })
+    : readServerConfig(DATA_DIR, serverKey);
+  log.info('server.created', { serverKey, from: 'api' });
+  res.status(201).json({ ok: true, server });
+});
+
+app.get('/v1/servers/:key', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  res.json({ ok: true, server: readServerConfig(DATA_DIR, serverKey) });
+});
+
+// The store drops the server's schedules too; refused while one of its sessions is running.
+app.delete('/v1/servers/:key', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const running = listSessionLocks(DATA_DIR).find(l => l.serverKey === serverKey);
+  if (running) return res.status(409).json({ error: 'an advertise session is running for this server', sessionId: running.sessionId });
+  const schedules = listSchedules(DATA_DIR).filter(s => s.serverKey === serverKey);
+  deleteServer(DATA_DIR, serverKey);
+  monitorLastRunMs.delete(serverKey);
+  log.info('server.deleted', { serverKey, schedules: schedules.length, from: 'api' });
+  res.json({ ok: true, schedulesRemoved: schedules.length });
+});
+
+app.get('/v1/servers/:key/defaults', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const cfg = readServerConfig(DATA_DIR, serverKey);
+  res.json({ ok: true, defaults: cfg.defaults, guildId: cfg.guildId || null });
+});
+
+// Sets title, invite and body over the stored defaults (other stored keys are kept); guildId is
+// optional, null clears it.
+app.put('/v1/servers/:key/defaults', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const { guildId, ...fields } = req.body || {};
+  let defaults;
+  try {
+    defaults = normalizeServerDefaults(fields, readServerConfig(DATA_DIR, serverKey).defaults);
+    if (guildId !== undefined && guildId !== null) normalizeGuildId(guildId);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const cfg = updateServerConfig(DATA_DIR, serverKey, current => {
+    current.defaults = { ...current.defaults, ...defaults };
+    if (guildId === null) delete current.guildId;
+    else if (guildId !== undefined) current.guildId = String(guildId);
+  });
+  log.info('server.defaults_updated', { serverKey, from: 'api' });
+  res.json({ ok: true, defaults: cfg.defaults, guildId: cfg.guildId || null });
+});
+
+app.get('/v1/servers/:key/subreddits', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  res.json({ ok: true, subreddits: listSubreddits(DATA_DIR, serverKey) });
+});
+
+app.get('/v1/servers/:key/subreddits/:sub', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const entry = findEntry(listSubreddits(DATA_DIR, serverKey), req.params.sub);
+  if (!entry) return res.status(404).json({ error: 'subreddit entry not found' });
+  res.json({ ok: true, subreddit: entry });
+});
+
+// Creates or replaces the entry keyed :sub. A pause or pending variant retry is kept unless the
+// body sends "paused": false. Existing entries keep their key even where new keys would be refused.
+app.put('/v1/servers/:key/subreddits/:sub', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const key = req.params.sub;
+  const existing = findEntry(listSubreddits(DATA_DIR, serverKey), key);
+  let entry;
+  try {
+    const body = req.body || {};
+    if (body.key !== undefined && body.key !== key) throw new Error('key in the body must match the URL');
+    entry = normalizeSubredditEntry({ ...body, key }, existing);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const resume = req.body?.paused === false || req.body?.paused === null;
+  // the removal-policy state is taken from the stored entry under the store lock, not from the read above
+  const saved = existing && replaceEntryKeepingState(serverKey, key, entry, resume ? ['paused'] : []);
+  if (!saved) upsertSubreddit(DATA_DIR, serverKey, entry);
+  log.info(saved ? 'subreddit.updated' : 'subreddit.created', { serverKey, key, subreddit: entry.subreddit, from: 'api' });
+  res.status(saved ? 200 : 201).json({ ok: true, subreddit: saved || entry });
+});
+
+app.delete('/v1/servers/:key/subreddits/:sub', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  if (!findEntry(listSubreddits(DATA_DIR, serverKey), req.params.sub)) return res.status(404).json({ error: 'subreddit entry not found' });
+  deleteSubreddit(DATA_DIR, serverKey, req.params.sub);
+  log.info('subreddit.deleted', { serverKey, key: req.params.sub, from: 'api' });
+  res.json({ ok: true });
+});
+
+// Queues the entry as a template in other servers ({ "servers": ["key", ...] }), like cryerctl's copy.
+app.post('/v1/servers/:key/subreddits/:sub/copy', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const entry = findEntry(listSubreddits(DATA_DIR, serverKey), req.params.sub);
+  if (!entry) return res.status(404).json({ error: 'subreddit entry not found' });
+  const targets = req.body?.servers;
+  if (!(Array.isArray(targets) && targets.length && targets.every(t => typeof t === 'string' && t))) {
+    return res.status(400).json({ error: 'servers must be a non-empty array of server keys' });
+  }
+  if (targets.includes(serverKey)) return res.status(400).json({ error: 'cannot copy an entry into its own server' });
+  const missing = targets.filter(t => !isRegisteredServer(t) || !serverExists(DATA_DIR, t));
+  if (missing.length) return res.status(404).json({ error: `server(s) not found: ${missing.join(', ')}` });
+  for (const t of targets) enqueueTemplate(DATA_DIR, t, withoutRemovalState(entry));
+  log.info('subreddit.copied', { serverKey, key: req.params.sub, targets, from: 'api' });
+  res.json({ ok: true, queuedIn: targets });
+});
+
+app.get('/v1/servers/:key/queue', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  res.json({ ok: true, queue: listQueue(DATA_DIR, serverKey) });
+});
+
+// Moves a queued template into the live list (replacing a live entry with the same key).
+app.post('/v1/servers/:key/queue/:sub/promote', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const item = dequeueTemplate(DATA_DIR, serverKey, req.params.sub);
+  if (!item) return res.status(404).json({ error: 'queue entry not found' });
+  delete item.requeuedAfterRemoval;
+  // a live entry with the same key keeps its removal-policy state
+  const saved = replaceEntryKeepingState(serverKey, req.params.sub, withoutRemovalState(item));
+  if (!saved) upsertSubreddit(DATA_DIR, serverKey, item);
+  log.info('queue.promoted', { serverKey, key: req.params.sub, from: 'api' });
+  res.json({ ok: true, subreddit: saved || item });
+});
+
+app.delete('/v1/servers/:key/queue/:sub', auth, (req, res) => {
+  const serverKey = serverOr404(req, res); if (!serverKey) return;
+  const item = dequeueTemplate(DATA_DIR, serverKey, req.params.sub);
+  if (!item) return res.status(404).json({ error: 'queue entry not found' });
+  log.info('queue.discarded', { serverKey, key: req.params.sub, from: 'api' });
+  res.json({ ok: true, discarded: item });
 });
 
 app.get('/v1/health', (_req, res) => res.json({ ok: true }));
 
 // --- background removal monitor ---
-const MONITOR_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
-const MONITOR_TTL_DAYS = 7;
-
-async function runRemovalMonitorOnce() {
-  const servers = listServers(DATA_DIR);
-  for (const s of servers) {
-    const key = s.key || s.id;
-    const list = listPostedRecords(DATA_DIR, key);
-    const now = Math.floor(Date.now()/1000);
-    let changed = false;
-    for (const rec of list) {
-      if (rec.status !== 'live') continue;
-      if ((now - (rec.createdUtc || now)) > MONITOR_TTL_DAYS * 86400) { rec.status = 'expired'; changed = true; continue; }
-      if (!rec.id) { rec.status = 'unknown'; changed = true; continue; }
+// Each server is checked every monitor.interval (server.json, lib/monitor.js); live posts are
+// looked up in /api/info batches per posting account, then the ones Reddit does not report as
+// removed are looked for in their subreddit's /new to catch silent spam filtering.
+const monitorLastRunMs = new Map(); // serverKey -> ms
+let monitorTickActive = false;
+
+async function runRemovalMonitorTick() {
+  if (monitorTickActive) return;
+  monitorTickActive = true;
+  try {
+    for (const s of listServers(DATA_DIR)) {
+      const key = s.key || s.id;
+      const { intervalMs, ttlMs } = monitorSettings(readServerConfig(DATA_DIR, key));
+      if (Date.now() - (monitorLastRunMs.get(key) || 0) < intervalMs) continue;
+      monitorLastRunMs.set(key, Date.now());
+      try {
+        await runRemovalMonitorOnce(key, ttlMs);
+      } catch (e) {
+        log.warn('removal.monitor_error', { serverKey: key, error: e.message });
+      }
+    }
+  } finally {
+    monitorTickActive = false;
+  }
+}
+
+// Runs the entry's onRemoval policy (lib/removal.js); returns the actions taken.
+function applyRemovalPolicy(key, rec, category, now) {
+  const entries = listSubreddits(DATA_DIR, key);
+  const entry = entries.find(e => (e.key || e.subreddit) === rec.entryKey)
+    || entries.find(e => lowerKey(e.subreddit) === lowerKey(rec.subreddit));
+  if (!entry?.onRemoval) return [];
+  const actions = [];
+  try {
+    const policy = normalizeRemovalPolicy(entry.onRemoval);
+    if (!policy) return [];
+    const entryK = entry.key || entry.subreddit;
+    let catalog = {};
+    try { catalog = loadPolicyCatalog(); } catch {}
+    const records = policy.pauseAfter ? listPostedRecords(DATA_DIR, key) : [];
+    let retry = null;
+
+    const updated = updateSubreddit(DATA_DIR, key, entryK, e => {
+      if (policy.extendCooldown) {
+        const from = cooldownMs(resolveRules(catalog, e));
+        const to = formatDuration(from + parseDuration(policy.extendCooldown));
+        e.rules = withCooldown(e.rules, to);
+        actions.push({ type: 'extend_cooldown', from: formatDuration(from), to });
+      }
+      if (policy.pauseAfter && !e.paused) {
+        const windowMs = pauseWindowMs(policy);
+        const removals = removalsSince(records, e.subreddit, now - windowMs / 1000, rec) + 1;
+        if (removals >= policy.pauseAfter) {
+          e.paused = { atMs: Date.now(), reason: `${removals} removal(s) within ${formatDuration(windowMs)}`, removals };
+          actions.push({ type: 'pause', removals, window: formatDuration(windowMs) });
+        }
+      }
+      // one retry per original post, and none for an entry that leaves the live list or stops posting
+      if (policy.retryNextVariant && !policy.requeue && !e.paused && !rec.retryOf && rec.variant) {
+        const next = variantAfter(e, rec.variant);
+        if (next) {
+          retry = { variant: next.id, retryOf: rec.id };
+          e.retryVariant = retry;
+        } else {
+          actions.push({ type: 'retry_variant', skipped: 'no other variant to try' });
+        }
+      }
+    });
+    if (!updated) return actions;
+
+    if (retry) {
+      const last = readCooldowns(DATA_DIR, key)[entryK] || 0;
+      const whenMs = Math.max(Date.now(), last + cooldownMs(resolveRules(catalog, updated)));
+      const s = scheduleSubreddit(DATA_DIR, { serverKey: key, subreddit: entryK, whenMs, reason: 'removal_retry' });
+      actions.push({ type: 'retry_variant', variant: retry.variant, scheduled: { id: s.id, whenMs: s.whenMs } });
+    }
+
+    if (policy.requeue) {
+      enqueueTemplate(DATA_DIR, key, { ...updated, requeuedAfterRemoval: { id: rec.id, category, atMs: Date.now() } });
+      deleteSubreddit(DATA_DIR, key, entryK);
+      actions.push({ type: 'requeue' });
+    }
+  } catch (e) {
+    actions.push({ type: 'error', error: e.message });
+    log.warn('removal.policy_error', { serverKey: key, subreddit: rec.subreddit, id: rec.id, error: e.message });
+  }
+  return actions;
+}
 
+async function reportRemoval(key, rec, fields, category, now) {
+  Object.assign(fields, { status: 'removed', removal: { category, checkedUtc: now } });
+  const actions = applyRemovalPolicy(key, rec, category, now);
+  if (actions.length) fields.removalActions = actions;
+  log.warn('removal.detected', { serverKey: key, account: rec.account, subreddit: rec.subreddit, id: rec.id, variant: rec.variant, category, actions: actions.map(a => a.type) });
+  await notifySquire('cryer.post.removed', {
+    serverKey: key, account: rec.account, subreddit: rec.subreddit, id: rec.id, variant: rec.variant, category, actions
+  });
+}
+
+async function runRemovalMonitorOnce(key, ttlMs = MONITOR_DEFAULT_TTL_MS) {
+  const list = listPostedRecords(DATA_DIR, key, { status: 'live' });
+  const now = Math.floor(Date.now()/1000);
+  // changes are applied to the freshly read file at the end, not to `list`, so records a
+  // session appended while we were checking are kept
+  const patches = new Map(); // record -> fields
+  // check with the account that posted; older records fall back to the server's account
+  let serverAccount;
+  const lookupAccount = (rec) => {
+    const a = rec.account && findAccount(DATA_DIR, rec.account);
+    if (a) return a;
+    if (serverAccount === undefined) {
+      try { serverAccount = accountForServer(DATA_DIR, key); } catch { serverAccount = null; }
+    }
+    return serverAccount || undefined;
+  };
+
+  const byAccount = new Map(); // account key -> { account, recs }
+  for (const rec of list) {
+    if (rec.status !== 'live') continue;
+    if ((now - (rec.createdUtc || now)) > ttlMs / 1000) { patches.set(rec, { status: 'expired' }); continue; }
+    if (!rec.id) { patches.set(rec, { status: 'unknown' }); continue; }
+    const account = lookupAccount(rec);
+    const group = byAccount.get(account?.key || '') || { account, recs: [] };
+    group.recs.push(rec);
+    byAccount.set(account?.key || '', group);
+  }
+
+  const listedCandidates = new Map(); // lowercased subreddit -> [{ rec, fields, account }]
+  for (const { account, recs } of byAccount.values()) {
+    let things;
+    try {
+      things = await fetchSubmissionInfos(recs.map(r => r.id), account);
+    } catch (e) {
+      log.warn('removal.check_error', { serverKey: key, account: account?.key, posts: recs.length, error: e.message });
+      continue;
+    }
+    for (const rec of recs) {
+      const thing = things.get(rec.id);
+      if (!thing) continue;
+      // latest engagement, for variant outcomes (lib/variants.js), plus an hourly snapshot (lib/stats.js)
+      const metrics = { score: thing.score ?? null, upvoteRatio: thing.upvote_ratio ?? null, numComments: thing.num_comments ?? null, checkedUtc: now };
+      const { removed, category } = classifyRemoval(thing);
+      const fields = { metrics };
+      if (removed || snapshotDue(rec, now)) fields.snapshot = snapshotOf(thing, rec.createdUtc, now);
+      patches.set(rec, fields);
       try {
-        const thing = await fetchSubmissionInfo(rec.id);
-        if (!thing) continue;
-        const { removed, category } = classifyRemoval(thing);
-        if (removed && category && category !== 'deleted') {
-          rec.status = 'removed';
-          rec.removal = { category, checkedUtc: now };
-          changed = true;
-          log.warn('removal.detected', { serverKey: key, subreddit: rec.subreddit, id: rec.id, category });
-          await notifySquire('cryer.post.removed', {
-            serverKey: key, subreddit: rec.subreddit, id: rec.id, category
-          });
+        if (removed && category === 'deleted') {
+          Object.assign(fields, { status: 'deleted', removal: { category, checkedUtc: now } });
+          log.info('removal.deleted', { serverKey: key, account: rec.account, subreddit: rec.subreddit, id: rec.id, variant: rec.variant });
+          await notifySquire('cryer.post.deleted', { serverKey: key, account: rec.account, subreddit: rec.subreddit, id: rec.id, variant: rec.variant });
+        } else if (removed) {
+          await reportRemoval(key, rec, fields, category, now);
+        } else {
+          const sub = rec.subreddit.toLowerCase();
+          if (!listedCandidates.has(sub)) listedCandidates.set(sub, []);
+          listedCandidates.get(sub).push({ rec, fields, account });
         }
       } catch (e) {
         log.warn('removal.check_error', { serverKey: key, id: rec.id, error: e.message });
       }
     }
-    if (changed) writePostedRecords(DATA_DIR, key, list);
   }
-}
 
-// --- background schedule runner ---
-async function runScheduleTick() {
-  const now = Date.now();
-  const list = listSchedules(DATA_DIR);
-  for (const s of list) {
-    if (s.whenMs <= now) {
-      log.info('schedule.trigger', { id: s.id, serverKey: s.serverKey, reason: s.reason });
+  // silent spam filter: the author still sees the post, the subreddit's /new does not list it
+  for (const candidates of listedCandidates.values()) {
+    const { rec: first, account } = candidates[0];
+    let listing;
+    try {
+      listing = await fetchSubredditNew(first.subreddit, account, NEW_LISTING_LIMIT);
+    } catch (e) {
+      log.warn('removal.listing_error', { serverKey: key, subreddit: first.subreddit, error: e.message });
+      continue;
+    }
+    const listed = new Set(listing.map(t => t.id));
+    for (const { rec, fields } of candidates) {
+      if (listed.has(rec.id)) {
+        if (rec.newMisses) fields.newMisses = 0;
+        continue;
+      }
+      if (!coveredByListing(rec, listing, NEW_LISTING_LIMIT, now)) continue;
+      fields.newMisses = (rec.newMisses || 0) + 1;
+      log.info('removal.missing_from_new', { serverKey: key, subreddit: rec.subreddit, id: rec.id, misses: fields.newMisses });
+      if (fields.newMisses < SPAM_MISSES_REQUIRED) continue;
       try {
-        await fetch(`http://${CALLBACK_HOST}:${PORT}/v1/advertise`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'X-Cryer-Key': SHARED_KEY },
-          body: JSON.stringify({ serverKey: s.serverKey, dryRun: false, autoScheduleIfThrottled: false })
-        });
+        await reportRemoval(key, rec, fields, 'spam_filtered', now);
       } catch (e) {
-        log.warn('schedule.trigger_error', { id: s.id, serverKey: s.serverKey, error: e.message });
-      } finally {
-        removeSchedule(DATA_DIR, s.id);
+        log.warn('removal.check_error', { serverKey: key, id: rec.id, error: e.message });
+      }
+    }
+  }
+
+  if (patches.size) {
+    const sameRecord = (a, b) => a.id === b.id && a.subreddit === b.subreddit && a.createdUtc === b.createdUtc;
+    updatePostedRecords(DATA_DIR, key, current => {
+      for (const [rec, fields] of patches) {
+        const target = current.find(r => sameRecord(r, rec));
+        if (!target || target.status !== 'live') continue;
+        const { snapshot, ...rest } = fields;
+        Object.assign(target, rest);
+        if (snapshot) target.snapshots = [...(target.snapshots || []), snapshot];
       }
+    });
+  }
+}
+
+// --- background schedule runner ---
+// At-least-once: an entry is marked running (attempt counted) before the session starts, so a
+// crash leaves it running and startup puts it back to pending. Failures retry with backoff.
+let scheduleTickActive = false;
+
+function scheduleRetryDelay(attempts) {
+  return Math.min(SCHEDULE_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), SCHEDULE_RETRY_MAX_MS);
+}
+
+function recoverInterruptedSchedules() {
+  for (const s of listSchedules(DATA_DIR)) {
+    if (scheduleState(s) !== 'running') continue;
+    const failed = (s.attempts || 0) >= SCHEDULE_MAX_ATTEMPTS;
+    updateSchedule(DATA_DIR, s.id, failed
+      ? { state: 'failed', finishedMs: Date.now(), lastError: 'interrupted' }
+      : { state: 'pending', whenMs: Date.now(), lastError: 'interrupted' });
+    log.warn('schedule.recovered', { id: s.id, serverKey: s.serverKey, attempts: s.attempts, failed });
+  }
+}
+
+async function runScheduledEntry(s) {
+  const attempts = (s.attempts || 0) + 1;
+  updateSchedule(DATA_DIR, s.id, { state: 'running', runningSince: Date.now(), attempts });
+  log.info('schedule.trigger', { id: s.id, serverKey: s.serverKey, reason: s.reason, subreddits: s.subreddits, attempt: attempts });
+
+  const run = { scheduleId: s.id, serverKey: s.serverKey, subreddits: s.subreddits, reason: s.reason, attempt: attempts, firedMs: Date.now() };
+  let retryable = false;
+  try {
+    const { httpStatus, body } = await runAdvertiseSession({
+      serverKey: s.serverKey, subreddits: s.subreddits, dryRun: false,
+      // a recurring run that lands inside the server throttle window is pushed to its end
+      autoScheduleIfThrottled: !!s.recurrence
+    });
+    run.outcome = httpStatus === 200 ? (body?.status || 'completed') : 'error';
+    if (body?.results) run.counts = countStatuses(body.results);
+    if (httpStatus !== 200) {
+      run.error = body?.error || `HTTP ${httpStatus}`;
+      retryable = httpStatus >= 500 || httpStatus === 409; // 409: another session holds the lock
+    }
+  } catch (e) {
+    run.outcome = 'error';
+    run.error = e.message;
+    retryable = true;
+    log.warn('schedule.trigger_error', { id: s.id, serverKey: s.serverKey, attempt: attempts, error: e.message });
+  }
+  appendScheduleHistory(DATA_DIR, run);
+
+  const now = Date.now();
+  if (run.outcome === 'error' && retryable && attempts < SCHEDULE_MAX_ATTEMPTS) {
+    const whenMs = now + scheduleRetryDelay(attempts);
+    updateSchedule(DATA_DIR, s.id, { state: 'pending', whenMs, lastError: run.error, runningSince: undefined });
+    log.info('schedule.retry', { id: s.id, serverKey: s.serverKey, attempt: attempts, whenMs });
+    return;
+  }
+  const next = s.recurrence ? nextRecurrenceMs(s.recurrence, Math.max(now, s.whenMs)) : null;
+  if (next !== null) {
+    updateSchedule(DATA_DIR, s.id, {
+      state: 'pending', whenMs: next, attempts: 0, runningSince: undefined,
+      lastFiredMs: run.firedMs, lastOutcome: run.outcome, lastError: run.error
+    });
+    log.info('schedule.rearmed', { id: s.id, serverKey: s.serverKey, whenMs: next });
+  } else {
+    const state = run.outcome === 'error' ? 'failed' : 'done';
+    updateSchedule(DATA_DIR, s.id, {
+      state, finishedMs: now, runningSince: undefined, lastOutcome: run.outcome, lastError: run.error
+    });
+    log.info(`schedule.${state}`, { id: s.id, serverKey: s.serverKey, attempts });
+  }
+}
+
+async function runScheduleTick() {
+  if (scheduleTickActive) return; // a slow session must not let the next tick fire the same entry
+  scheduleTickActive = true;
+  try {
+    const now = Date.now();
+    for (const s of listSchedules(DATA_DIR)) {
+      if (s.paused || scheduleState(s) !== 'pending' || s.whenMs > now) continue;
+      // re-read: the entry may have been edited or cancelled while earlier entries ran
+      const current = getSchedule(DATA_DIR, s.id);
+      if (!current || current.paused || scheduleState(current) !== 'pending' || current.whenMs > Date.now()) continue;
+      await runScheduledEntry(current);
     }
+    pruneFinishedSchedules(DATA_DIR, Date.now() - SCHEDULE_KEEP_FINISHED_MS);
+  } finally {
+    scheduleTickActive = false;
   }
 }
 
-setInterval(runRemovalMonitorOnce, MONITOR_INTERVAL_MS);
-runRemovalMonitorOnce().catch(()=>{});
+setInterval(() => runRemovalMonitorTick().catch(e => log.error('removal.tick_error', { error: e.message })), MONITOR_TICK_MS);
+runRemovalMonitorTick().catch(e => log.error('removal.tick_error', { error: e.message }));
 
-setInterval(runScheduleTick, SCHEDULE_TICK_MS);
-runScheduleTick().catch(()=>{});
+recoverInterruptedSchedules();
+// locks left by an earlier process (crash, restart mid-session) keep blocking until their lease runs out
+for (const l of listSessionLocks(DATA_DIR)) log.warn('session.lock_inherited', l);
+setInterval(() => runScheduleTick().catch(e => log.error('schedule.tick_error', { error: e.message })), SCHEDULE_TICK_MS);
+runScheduleTick().catch(e => log.error('schedule.tick_error', { error: e.message }));
 
 app.listen(PORT, BIND, () => {
   console.log(`Cryer listening on http://${BIND}:${PORT}`);
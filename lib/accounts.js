@@ -0,0 +1,70 @@
+import { listAccounts as listStoredAccounts, getAccount, readServerConfig, slugifyName } from './store.js';
+import { envAccount } from './reddit.js';
+
+// Reddit accounts: the registry (store: accounts.json / accounts table) plus the REDDIT_* env
+// credentials, which act as account "default" unless the registry defines that key itself.
+// A server picks its account with `account` in server.json; without it the default account posts.
+//
+// Stored shape: { key, username, clientId, clientSecret, password?, refreshToken?, userAgent?, note? }
+// Either a refresh token or username + password (script app) is required.
+
+export const DEFAULT_ACCOUNT_KEY = 'default';
+const SECRET_FIELDS = ['clientSecret', 'password', 'refreshToken'];
+const FIELDS = ['username', 'clientId', 'clientSecret', 'password', 'refreshToken', 'userAgent', 'note'];
+
+function envDefault() {
+  const a = envAccount();
+  return a.clientId ? a : null;
+}
+
+export function listAccounts(dataDir) {
+  const stored = listStoredAccounts(dataDir);
+  const env = envDefault();
+  if (env && !stored.some(a => a.key === DEFAULT_ACCOUNT_KEY)) return [env, ...stored];
+  return stored;
+}
+
+export function findAccount(dataDir, key = DEFAULT_ACCOUNT_KEY) {
+  return getAccount(dataDir, key) || (key === DEFAULT_ACCOUNT_KEY ? envDefault() : null);
+}
+
+// The account a server posts from. Throws when server.json names an account that does not exist.
+export function accountForServer(dataDir, serverKey) {
+  const key = readServerConfig(dataDir, serverKey).account || DEFAULT_ACCOUNT_KEY;
+  const account = findAccount(dataDir, key);
+  if (!account) {
+    throw new Error(key === DEFAULT_ACCOUNT_KEY
+      ? 'no Reddit account configured (set REDDIT_* in .env or add an account)'
+      : `server ${serverKey} uses unknown Reddit account "${key}"`);
+  }
+  return account;
+}
+
+// Validate input for a new account or an edit of `current`; returns the record to store or throws.
+export function normalizeAccount(input, current = null) {
+  const out = { ...(current || {}) };
+  out.key = current ? current.key : slugifyName(input.key || input.username || '');
+  for (const f of FIELDS) {
+    if (input[f] === undefined) continue;
+    const v = String(input[f] ?? '').trim();
+    if (v) out[f] = v; else delete out[f];
+  }
+  if (!out.key) throw new Error('account key required');
+  if (!out.clientId || !out.clientSecret) throw new Error('clientId and clientSecret are required');
+  if (!out.refreshToken && !(out.username && out.password)) {
+    throw new Error('either a refresh token or username and password are required');
+  }
+  return out;
+}
+
+// Safe to print or return over the API.
+export function publicAccount(account) {
+  const out = { ...account, auth: account.refreshToken ? 'refresh_token' : 'password' };
+  for (const f of SECRET_FIELDS) delete out[f];
+  return out;
+}
+
+// Name the session lock uses: two keys with the same login are still one Reddit account.
+export function accountLockName(account) {
+  return String(account.username || account.key).toLowerCase();
+}
@@ -0,0 +1,177 @@
+// Minimal 5-field cron ("min hour day-of-month month day-of-week") evaluated in an IANA time zone,
+// plus the recurrence specs accepted by schedules: { cron | daily | window, tz, jitterMinutes }.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dom', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dow', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  const ix = field.names ? field.names.indexOf(lower) : -1;
+  if (ix < 0 && !/^\d+$/.test(raw)) throw new Error(`cron ${field.name}: "${raw}" is not a number${field.names ? ' or name' : ''}`);
+  const n = ix >= 0 ? ix + (field.name === 'month' ? 1 : 0) : Number(raw);
+  if (!Number.isInteger(n) || n < field.min || n > field.max) {
+    throw new Error(`cron ${field.name}: "${raw}" out of range ${field.min}-${field.max}`);
+  }
+  return n;
+}
+
+function parseField(src, field) {
+  const values = new Set();
+  for (const part of src.split(',')) {
+    if (!part) throw new Error(`cron ${field.name}: empty item in "${src}"`);
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`cron ${field.name}: bad step "${stepRaw}"`);
+    let lo;
+    let hi;
+    if (range === '*') { lo = field.min; hi = field.max; }
+    else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field); hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`cron ${field.name}: range "${range}" is reversed`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepRaw === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(field.name === 'dow' && v === 7 ? 0 : v);
+  }
+  return { values, star: src === '*' };
+}
+
+export function parseCron(expr) {
+  const src = MACROS[String(expr || '').trim().toLowerCase()] || String(expr || '').trim();
+  const parts = src.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron "${expr}": expected 5 fields`);
+  const out = {};
+  FIELDS.forEach((f, i) => { out[f.name] = parseField(parts[i], f); });
+  return out;
+}
+
+const formatters = new Map();
+function zonedParts(ms, tz) {
+  let fmt = formatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    });
+    formatters.set(tz, fmt);
+  }
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(new Date(ms))) p[type] = value;
+  return {
+    month: Number(p.month), day: Number(p.day), hour: Number(p.hour), minute: Number(p.minute),
+    dow: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(p.weekday)
+  };
+}
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function defaultTimeZone() {
+  return process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function dayMatches(c, p) {
+  const dom = c.dom.values.has(p.day);
+  const dow = c.dow.values.has(p.dow);
+  // classic cron: when both are restricted either one may match
+  if (!c.dom.star && !c.dow.star) return dom || dow;
+  return dom && dow;
+}
+
+// First whole minute strictly after fromMs that matches expr in tz, or null within ~2 years.
+export function nextCronTime(expr, { tz = 'UTC', fromMs = Date.now() } = {}) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const MIN = 60 * 1000;
+  let t = Math.floor(fromMs / MIN) * MIN + MIN;
+  const limit = t + 2 * 366 * 24 * 60 * MIN;
+  while (t < limit) {
+    const p = zonedParts(t, tz);
+    if (!c.month.values.has(p.month) || !dayMatches(c, p)) {
+      t += ((24 - p.hour) * 60 - p.minute) * MIN; // to the next local midnight (DST-safe enough: re-checked)
+      continue;
+    }
+    if (!c.hour.values.has(p.hour)) { t += (60 - p.minute) * MIN; continue; }
+    if (!c.minute.values.has(p.minute)) { t += MIN; continue; }
+    return t;
+  }
+  return null;
+}
+
+const HHMM_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function parseHHMM(s, label) {
+  const m = HHMM_RE.exec(String(s || '').trim());
+  if (!m) throw new Error(`${label} must be HH:MM`);
+  return { hour: Number(m[1]), minute: Number(m[2]) };
+}
+
+// { cron } | { daily: "18:00" } | { window: "18:00-21:00" }, plus tz and jitterMinutes.
+// Returns the stored shape { cron, tz, jitterMinutes } or throws.
+export function normalizeRecurrence(spec) {
+  const { cron, daily, window, tz = defaultTimeZone() } = spec || {};
+  let jitterMinutes = spec?.jitterMinutes === undefined ? 0 : Number(spec.jitterMinutes);
+  if (!Number.isFinite(jitterMinutes) || jitterMinutes < 0) throw new Error('jitterMinutes must be a non-negative number');
+  if (!isValidTimeZone(tz)) throw new Error(`unknown time zone "${tz}"`);
+
+  let expr;
+  if (cron) {
+    expr = String(cron).trim();
+  } else if (daily) {
+    const { hour, minute } = parseHHMM(daily, 'daily');
+    expr = `${minute} ${hour} * * *`;
+  } else if (window) {
+    const [a, b] = String(window).split('-');
+    const start = parseHHMM(a, 'window start');
+    const end = parseHHMM(b, 'window end');
+    let span = (end.hour * 60 + end.minute) - (start.hour * 60 + start.minute);
+    if (span <= 0) span += 24 * 60; // window crosses midnight
+    expr = `${start.minute} ${start.hour} * * *`;
+    jitterMinutes = span;
+  } else {
+    throw new Error('one of cron, daily or window is required');
+  }
+  parseCron(expr);
+  const out = { cron: expr, tz, jitterMinutes };
+  if (window) out.window = String(window).trim();
+  return out;
+}
+
+export function hasRecurrence(spec) {
+  return !!(spec && (spec.cron || spec.daily || spec.window));
+}
+
+// Next fire time with a random offset inside the jitter (or window) span.
+export function nextRecurrenceMs(recurrence, fromMs = Date.now()) {
+  const base = nextCronTime(recurrence.cron, { tz: recurrence.tz, fromMs });
+  if (base === null) return null;
+  const jitter = Math.max(0, Number(recurrence.jitterMinutes) || 0) * 60 * 1000;
+  return base + Math.floor(Math.random() * jitter);
+}
+
+export function describeRecurrence(r) {
+  if (!r) return 'once';
+  const base = r.window ? `daily window ${r.window}` : `cron "${r.cron}"`;
+  const jitter = !r.window && r.jitterMinutes ? ` ±${r.jitterMinutes}m` : '';
+  return `${base}${jitter} (${r.tz})`;
+}
@@ -0,0 +1,81 @@
+import { log } from './logger.js';
+
+// Discord invite verification through the public invite endpoint (no bot token needed):
+// GET <DISCORD_API_BASE_URL>/invites/<code>?with_expiration=true
+// An invite passes when it exists, never expires, grants full (not temporary) membership and, if the
+// server has a `guildId`, leads there.
+// Lookups are cached for CRYER_INVITE_CACHE_TTL_MS; failed lookups (network, 429, 5xx) are not
+// cached and never block a post. CRYER_INVITE_CHECK=off turns the check off.
+
+const trimSlash = (u) => String(u).replace(/\/+$/, '');
+
+export const DISCORD_API_BASE_URL = trimSlash(process.env.DISCORD_API_BASE_URL || 'https://discord.com/api/v10');
+export const INVITE_CHECK_ENABLED = (process.env.CRYER_INVITE_CHECK || 'on').trim().toLowerCase() !== 'off';
+const CACHE_TTL_MS = parseInt(process.env.CRYER_INVITE_CACHE_TTL_MS || String(60 * 60 * 1000), 10); // 1 hour
+const USER_AGENT = 'Cryer/0.3.0 (Discord invite check)';
+
+const INVITE_CODE_RE = /(?:discord\.gg|discord(?:app)?\.com\/invite)\/([A-Za-z0-9-]+)/gi;
+const cache = new Map(); // code -> { at, info }
+
+// Invite codes in a text, in order of appearance.
+export function inviteCodes(text) {
+  return [...new Set([...String(text || '').matchAll(INVITE_CODE_RE)].map(m => m[1]))];
+}
+
+// { code, exists, guildId, guildName, expiresAt, temporary }; throws when Discord gives no answer.
+export async function lookupInvite(code) {
+  const hit = cache.get(code);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.info;
+  const resp = await fetch(`${DISCORD_API_BASE_URL}/invites/${encodeURIComponent(code)}?with_expiration=true`, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' }
+  });
+  let info;
+  if (resp.status === 404) {
+    info = { code, exists: false };
+  } else if (resp.ok) {
+    const json = await resp.json();
+    info = {
+      code, exists: true, guildId: json.guild?.id || null, guildName: json.guild?.name || null,
+      expiresAt: json.expires_at || null, temporary: !!json.temporary
+    };
+  } else {
+    throw new Error(`Discord invite lookup failed: HTTP ${resp.status}`);
+  }
+  cache.set(code, { at: Date.now(), info });
+  return info;
+}
+
+export function forgetInvite(code) {
+  if (code) cache.delete(code); else cache.clear();
+}
+
+// { ok: true|false|null, code, reason?, message?, ...lookup }. ok is null when the lookup failed.
+export async function checkInvite(code, { guildId } = {}) {
+  let info;
+  try {
+    info = await lookupInvite(code);
+  } catch (e) {
+    log.warn('invite.check_error', { code, error: e.message });
+    return { ok: null, code, reason: 'unverified', message: e.message };
+  }
+  if (!info.exists) return { ok: false, ...info, reason: 'not_found', message: `invite ${code} does not exist (expired or revoked)` };
+  if (info.expiresAt) return { ok: false, ...info, reason: 'expires', message: `invite ${code} is temporary (expires ${info.expiresAt}); use a permanent invite` };
+  // members who join through it are kicked when they disconnect unless given a role
+  if (info.temporary) {
+    return { ok: false, ...info, reason: 'temporary_membership', message: `invite ${code} only grants temporary membership; use an invite without it` };
+  }
+  if (guildId && info.guildId !== String(guildId)) {
+    return { ok: false, ...info, reason: 'wrong_guild', message: `invite ${code} leads to ${info.guildName || info.guildId}, not guild ${guildId}` };
+  }
+  return { ok: true, ...info };
+}
+
+// First failing check among the invites in `text`, or null when all pass (or none can be verified).
+export async function findInvalidInvite(text, { guildId } = {}) {
+  if (!INVITE_CHECK_ENABLED) return null;
+  for (const code of inviteCodes(text)) {
+    const r = await checkInvite(code, { guildId });
+    if (r.ok === false) return r;
+  }
+  return null;
+}
@@ -0,0 +1,132 @@
+import { normalizeRules } from './rules.js';
+import { VARIANT_STRATEGIES, VARIANT_FIELDS } from './variants.js';
+import { normalizeRemovalPolicy } from './removal.js';
+import { hasInvite } from './validation.js';
+
+// Request validation for the REST API (/v1/servers...): server keys, defaults and subreddit entries.
+// Each normalize* throws an Error whose message is safe to return as a 400.
+// The key and name patterns only apply to new keys: servers and entries made before the API (or by
+// cryerctl) may use others, e.g. "test server 2", and are looked up in the store as they are.
+
+export const SERVER_KEY_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+export const ENTRY_KEY_RE = /^[A-Za-z0-9_-]{1,64}$/;
+export const SUBREDDIT_RE = /^[A-Za-z0-9_]{2,21}$/;
+export const POST_TYPES = ['self', 'link', 'image', 'gallery', 'crosspost'];
+const POST_STRING_FIELDS = ['title', 'body', 'url', 'flair_id', 'flair_text', 'image', 'crosspostOf'];
+const IMAGE_FIELDS = ['file', 'caption', 'outboundUrl'];
+const ENTRY_FIELDS = ['key', 'subreddit', 'post', 'rules', 'variants', 'variantStrategy', 'onRemoval', 'paused', 'retryVariant'];
+const DEFAULTS_FIELDS = ['title', 'invite', 'body'];
+
+const isObject = (x) => !!x && typeof x === 'object' && !Array.isArray(x);
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function onlyKeys(obj, allowed, label) {
+  const unknown = Object.keys(obj).filter(k => !allowed.includes(k));
+  if (unknown.length) throw new Error(`${label}: unknown field(s) ${unknown.join(', ')}`);
+}
+
+function stringFields(obj, fields, label) {
+  const out = {};
+  for (const f of fields) {
+    if (obj[f] === undefined || obj[f] === null) continue;
+    if (typeof obj[f] !== 'string') throw new Error(`${label}.${f} must be a string`);
+    out[f] = obj[f];
+  }
+  return out;
+}
+
+export function normalizeServerKey(key) {
+  const k = String(key ?? '').trim();
+  if (!SERVER_KEY_RE.test(k)) throw new Error('server key must be lowercase letters, digits and dashes');
+  return k;
+}
+
+export function normalizeGuildId(guildId) {
+  if (!/^\d{15,21}$/.test(String(guildId))) throw new Error('guildId must be a Discord id (snowflake)');
+  return String(guildId);
+}
+
+// { title, invite, body } merged over the stored defaults. Other keys already stored there (older
+// server.json files carry rule settings like cooldownHours) are kept and may be sent back as they are.
+export function normalizeServerDefaults(input, stored = {}) {
+  if (!isObject(input)) throw new Error('defaults must be an object');
+  const current = isObject(stored) ? stored : {};
+  onlyKeys(input, [...DEFAULTS_FIELDS, ...Object.keys(current)], 'defaults');
+  const extra = Object.fromEntries(Object.entries(input).filter(([k]) => !DEFAULTS_FIELDS.includes(k)));
+  const out = { title: '', invite: '', body: '', ...current, ...extra, ...stringFields(input, DEFAULTS_FIELDS, 'defaults') };
+  if (out.invite && out.invite !== current.invite && !hasInvite(out.invite)) throw new Error('defaults.invite must be a Discord invite link');
+  return out;
+}
+
+function normalizePost(input) {
+  if (!isObject(input)) throw new Error('post must be an object');
+  onlyKeys(input, ['type', ...POST_STRING_FIELDS, 'images'], 'post');
+  const type = input.type ?? 'self';
+  if (!POST_TYPES.includes(type)) throw new Error(`post.type must be one of ${POST_TYPES.join(', ')}`);
+  const out = { type, ...stringFields(input, POST_STRING_FIELDS, 'post') };
+  if (input.images !== undefined) {
+    if (!Array.isArray(input.images)) throw new Error('post.images must be an array');
+    out.images = input.images.map((img, i) => {
+      if (!isObject(img)) throw new Error(`post.images[${i}] must be an object`);
+      onlyKeys(img, IMAGE_FIELDS, `post.images[${i}]`);
+      const o = stringFields(img, IMAGE_FIELDS, `post.images[${i}]`);
+      if (!o.file) throw new Error(`post.images[${i}].file required`);
+      return o;
+    });
+  }
+  return out;
+}
+
+function normalizeVariants(input) {
+  if (!Array.isArray(input)) throw new Error('variants must be an array');
+  const seen = new Set();
+  return input.map((v, i) => {
+    if (!isObject(v)) throw new Error(`variants[${i}] must be an object`);
+    onlyKeys(v, ['id', 'weight', ...VARIANT_FIELDS], `variants[${i}]`);
+    if (typeof v.id !== 'string' || !v.id.trim()) throw new Error(`variants[${i}].id required`);
+    if (seen.has(v.id)) throw new Error(`variants[${i}].id ${v.id} is used twice`);
+    seen.add(v.id);
+    const out = { id: v.id, ...stringFields(v, VARIANT_FIELDS, `variants[${i}]`) };
+    if (v.weight !== undefined) {
+      if (!(typeof v.weight === 'number' && Number.isFinite(v.weight) && v.weight >= 0)) throw new Error(`variants[${i}].weight must be a non-negative number`);
+      out.weight = v.weight;
+    }
+    return out;
+  });
+}
+
+// A subreddit entry as stored in subreddits.json / the queue. `existing` is the stored entry being
+// replaced, if any: its key and subreddit name are kept as they are. `paused` and `retryVariant` are
+// set by removal policies (lib/removal.js); they may be sent back unchanged, and `paused` as false
+// (resume).
+export function normalizeSubredditEntry(input, existing = null) {
+  if (!isObject(input)) throw new Error('entry must be an object');
+  onlyKeys(input, ENTRY_FIELDS, 'entry');
+  const subreddit = String(input.subreddit ?? '').trim().replace(/^\/?r\//i, '');
+  if (subreddit !== existing?.subreddit && !SUBREDDIT_RE.test(subreddit)) {
+    throw new Error('subreddit must be a subreddit name (2-21 letters, digits or _)');
+  }
+  const key = existing ? (existing.key || existing.subreddit) : input.key === undefined ? subreddit : String(input.key);
+  if (!existing && !ENTRY_KEY_RE.test(key)) throw new Error('key must be letters, digits, _ and -');
+  const entry = { key, subreddit, post: normalizePost(input.post ?? {}) };
+  const rules = normalizeRules(input.rules, `r/${subreddit} rules`);
+  if (Object.keys(rules).length) entry.rules = rules;
+  if (input.variants !== undefined) {
+    const variants = normalizeVariants(input.variants);
+    if (variants.length) entry.variants = variants;
+  }
+  if (input.variantStrategy !== undefined) {
+    if (!VARIANT_STRATEGIES.includes(input.variantStrategy)) throw new Error(`variantStrategy must be one of ${VARIANT_STRATEGIES.join(', ')}`);
+    entry.variantStrategy = input.variantStrategy;
+  }
+  const onRemoval = normalizeRemovalPolicy(input.onRemoval);
+  if (onRemoval) entry.onRemoval = onRemoval;
+  if (input.paused !== undefined && input.paused !== false && input.paused !== null && !sameValue(input.paused, existing?.paused)) {
+    throw new Error('paused can only be set to false (resume)');
+  }
+  if (input.retryVariant !== undefined && !sameValue(input.retryVariant, existing?.retryVariant)) {
+    throw new Error('retryVariant is set by the removal policy and cannot be changed');
+  }
+  return entry;
+}
+
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import { getServerPaths } from './store.js';
+
+// Local media for image and gallery posts. Files live in <data>/servers/<key>/media/ and posts
+// name them relative to that folder:
+//   { type: 'image', title, image: 'banner.png' }
+//   { type: 'gallery', title, images: [{ file: 'a.png', caption?, outboundUrl? }, ...] }
+// Uploads go through Reddit's media asset lease (lib/reddit.js uploadMedia).
+
+export const MEDIA_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif' };
+export const MEDIA_MAX_BYTES = 20 * 1024 * 1024;
+export const GALLERY_MIN_ITEMS = 2;
+export const GALLERY_MAX_ITEMS = 20;
+export const GALLERY_CAPTION_MAX_LENGTH = 180;
+
+export function serverMediaDir(dataDir, serverKey) {
+  return getServerPaths(dataDir, serverKey).mediaDir;
+}
+
+// Image files available to a server's posts, sorted by name.
+export function listMediaFiles(mediaDir) {
+  if (!fs.existsSync(mediaDir)) return [];
+  return fs.readdirSync(mediaDir).filter(f => MEDIA_TYPES[path.extname(f).toLowerCase()]).sort();
+}
+
+export function mimeTypeOf(file) {
+  return MEDIA_TYPES[path.extname(file).toLowerCase()] || null;
+}
+
+// Absolute path of a media file; throws when it is outside the folder, missing, of a
+// type Reddit does not take, or too large.
+export function resolveMediaFile(mediaDir, name) {
+  if (!name || typeof name !== 'string') throw new Error('media file name required');
+  const full = path.resolve(mediaDir, name);
+  if (path.dirname(full) !== path.resolve(mediaDir)) throw new Error(`media file ${name} must be directly in ${mediaDir}`);
+  if (!mimeTypeOf(full)) throw new Error(`media file ${name} must be ${Object.keys(MEDIA_TYPES).join(', ')}`);
+  let st;
+  try {
+    st = fs.statSync(full);
+  } catch {
+    throw new Error(`media file ${name} not found in ${mediaDir}`);
+  }
+  if (!st.isFile()) throw new Error(`media file ${name} is not a file`);
+  if (st.size > MEDIA_MAX_BYTES) throw new Error(`media file ${name} is larger than ${MEDIA_MAX_BYTES / 1024 / 1024} MB`);
+  return full;
+}
+
+// The files a post uploads, in order.
+export function postMediaFiles(post) {
+  if (post.type === 'image') return [post.image];
+  if (post.type === 'gallery') return (post.images || []).map(i => i?.file);
+  return [];
+}
+
+// Problems with the post's media (empty when fine or not a media post).
+export function mediaProblems(post, mediaDir) {
+  if (post.type === 'image' && !post.image) return ['image posts need an image file'];
+  if (post.type === 'gallery') {
+    const n = Array.isArray(post.images) ? post.images.length : 0;
+    if (n < GALLERY_MIN_ITEMS || n > GALLERY_MAX_ITEMS) {
+      return [`gallery posts need ${GALLERY_MIN_ITEMS} to ${GALLERY_MAX_ITEMS} images (has ${n})`];
+    }
+    const long = post.images.findIndex(i => String(i?.caption || '').length > GALLERY_CAPTION_MAX_LENGTH);
+    if (long >= 0) return [`gallery caption ${long + 1} is longer than ${GALLERY_CAPTION_MAX_LENGTH} characters`];
+  }
+  const problems = [];
+  for (const f of postMediaFiles(post)) {
+    try {
+      resolveMediaFile(mediaDir, f);
+    } catch (e) {
+      problems.push(e.message);
+    }
+  }
+  return problems;
+}
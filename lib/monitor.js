@@ -0,0 +1,52 @@
+import { parseDuration, formatDuration } from './rules.js';
+
+// Removal monitor settings and spam-filter detection.
+//
+// server.json `monitor`: { interval: "10m", ttl: "7d" } — how often the server's live posts are
+// checked and for how long after posting (then they become `expired`). Either may be left out.
+//
+// Silent spam filtering: Reddit still shows a spam-filtered post to its author (/api/info has no
+// removed_by_category) but leaves it out of the subreddit's listings. A post old enough to be
+// listed, inside the span /new covers, and missing from it SPAM_MISSES_REQUIRED checks in a row
+// is marked removed with category `spam_filtered`.
+
+export const MONITOR_TICK_MS = 60 * 1000;
+export const MONITOR_DEFAULT_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
+export const MONITOR_DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const SPAM_CHECK_MIN_AGE_S = 15 * 60;
+export const SPAM_MISSES_REQUIRED = 2;
+export const NEW_LISTING_LIMIT = 100;
+
+// Throws on values that are not durations or are shorter than the monitor tick.
+export function normalizeMonitor(input) {
+  if (input === undefined || input === null) return undefined;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('monitor must be an object');
+  const out = {};
+  for (const k of ['interval', 'ttl']) {
+    if (input[k] === undefined || input[k] === null || input[k] === '') continue;
+    const ms = parseDuration(input[k]);
+    if (!Number.isFinite(ms) || ms < MONITOR_TICK_MS) throw new Error(`monitor.${k} must be a duration of at least 1m, like "10m" or "7d"`);
+    out[k] = formatDuration(ms);
+  }
+  const unknown = Object.keys(input).filter(k => !['interval', 'ttl'].includes(k));
+  if (unknown.length) throw new Error(`unknown monitor setting(s): ${unknown.join(', ')}`);
+  return out;
+}
+
+// { intervalMs, ttlMs } for a server config; bad values fall back to the defaults.
+export function monitorSettings(cfg) {
+  const interval = parseDuration(cfg?.monitor?.interval);
+  const ttl = parseDuration(cfg?.monitor?.ttl);
+  return {
+    intervalMs: Number.isFinite(interval) && interval >= MONITOR_TICK_MS ? interval : MONITOR_DEFAULT_INTERVAL_MS,
+    ttlMs: Number.isFinite(ttl) && ttl > 0 ? ttl : MONITOR_DEFAULT_TTL_MS
+  };
+}
+
+// True when the record should appear in a /new listing (newest first, asked for `limit` items).
+export function coveredByListing(rec, listing, limit, nowUtc = Math.floor(Date.now() / 1000)) {
+  if (nowUtc - (rec.createdUtc || nowUtc) < SPAM_CHECK_MIN_AGE_S) return false;
+  if (listing.length < limit) return true;
+  const oldest = listing[listing.length - 1]?.created_utc || 0;
+  return (rec.createdUtc || 0) >= oldest;
+}
@@ -0,0 +1,75 @@
+import http from 'http';
+import crypto from 'crypto';
+import { REDDIT_TOKEN_URL, REDDIT_AUTHORIZE_URL, basicAuthHeader, userAgent } from './reddit.js';
+
+// Reddit OAuth authorization-code flow, used by `cryerctl auth` to mint a refresh token.
+// The Reddit app's redirect URI must match CRYER_OAUTH_REDIRECT_URI exactly.
+
+export const OAUTH_SCOPES = ['submit', 'identity', 'read', 'flair', 'edit', 'history'];
+export const OAUTH_REDIRECT_URI = process.env.CRYER_OAUTH_REDIRECT_URI || 'http://localhost:65010/authorize_callback';
+
+export function newOAuthState() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+export function authorizeUrl({ clientId, state, redirectUri = OAUTH_REDIRECT_URI, scopes = OAUTH_SCOPES }) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    response_type: 'code',
+    state,
+    redirect_uri: redirectUri,
+    duration: 'permanent', // ask for a refresh token
+    scope: scopes.join(' ')
+  });
+  return `${REDDIT_AUTHORIZE_URL}?${params}`;
+}
+
+// Listen on the redirect URI's host/port until Reddit sends the browser back.
+// Resolves to the code; rejects on denial, a state mismatch or after timeoutMs.
+export function waitForAuthorizationCode({ state, redirectUri = OAUTH_REDIRECT_URI, timeoutMs = 5 * 60 * 1000 }) {
+  const target = new URL(redirectUri);
+  return new Promise((resolve, reject) => {
+    let timer;
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, redirectUri);
+      if (url.pathname !== target.pathname) {
+        res.writeHead(404).end();
+        return;
+      }
+      const error = url.searchParams.get('error');
+      const code = url.searchParams.get('code');
+      let failure = null;
+      if (error) failure = `Reddit returned error: ${error}`;
+      else if (url.searchParams.get('state') !== state) failure = 'state mismatch (stale or forged redirect)';
+      else if (!code) failure = 'redirect is missing the code';
+      res.writeHead(failure ? 400 : 200, { 'Content-Type': 'text/plain; charset=utf-8', 'Connection': 'close' });
+      res.end(failure ? `Cryer authorization failed: ${failure}` : 'Cryer is authorized. You can close this tab.');
+      finish(failure ? new Error(failure) : null, code);
+    });
+    function finish(err, code) {
+      clearTimeout(timer);
+      server.close();
+      if (err) reject(err); else resolve(code);
+    }
+    server.on('error', (e) => finish(new Error(`cannot listen on ${target.host}: ${e.message}`)));
+    timer = setTimeout(() => finish(new Error('timed out waiting for the Reddit redirect')), timeoutMs);
+    server.listen(Number(target.port) || 80, target.hostname === 'localhost' ? '127.0.0.1' : target.hostname);
+  });
+}
+
+// Trade the code for tokens: { access_token, refresh_token, scope, expires_in }.
+export async function exchangeAuthorizationCode({ clientId, clientSecret, code, redirectUri = OAUTH_REDIRECT_URI, account }) {
+  const resp = await fetch(REDDIT_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': basicAuthHeader(clientId, clientSecret),
+      'User-Agent': userAgent(account),
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ grant_type: 'authorization_code', code, redirect_uri: redirectUri })
+  });
+  const json = await resp.json().catch(() => null);
+  if (!resp.ok || json?.error) throw new Error(`code exchange failed: ${resp.status} ${JSON.stringify(json)}`);
+  if (!json?.refresh_token) throw new Error('token response has no refresh_token (was duration=permanent accepted?)');
+  return json;
+}
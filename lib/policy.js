@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { normalizeRules, mergeRules } from './rules.js';
+
+// Subreddit policy catalog: the commented subreddits.json at the repo root.
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const DEFAULT_CATALOG_PATH = path.join(ROOT_DIR, 'subreddits.json');
+
+// Drop // and /* */ comments that sit outside string literals.
+export function stripJsonComments(src) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    const next = src[i + 1];
+    if (inString) {
+      out += ch;
+      if (ch === '\\') { out += next ?? ''; i++; }
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') { inString = true; out += ch; continue; }
+    if (ch === '/' && next === '/') {
+      while (i < src.length && src[i] !== '\n') i++;
+      out += '\n';
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = src.indexOf('*/', i + 2);
+      i = end < 0 ? src.length : end + 1;
+      continue;
+    }
+    out += ch;
+  }
+  return out;
+}
+
+// Returns { [lowercased subreddit]: rules }; descriptive fields are dropped.
+// Throws on unknown or mistyped rule keys so a typo in the catalog is not ignored.
+export function loadPolicyCatalog(file = process.env.CRYER_POLICY_CATALOG || DEFAULT_CATALOG_PATH) {
+  if (!fs.existsSync(file)) return {};
+  let raw;
+  try {
+    raw = JSON.parse(stripJsonComments(fs.readFileSync(file, 'utf8')));
+  } catch (e) {
+    throw new Error(`policy catalog ${file}: ${e.message}`);
+  }
+  const catalog = {};
+  for (const [name, policy] of Object.entries(raw || {})) {
+    const { subreddit, notes, ...rules } = policy || {};
+    catalog[String(subreddit || name).toLowerCase()] = normalizeRules(rules, `policy catalog ${name}`);
+  }
+  return catalog;
+}
+
+// Catalog policy first, the server entry's own rules win. Throws on invalid entry rules.
+export function resolveRules(catalog, entry) {
+  const base = catalog?.[String(entry?.subreddit || '').toLowerCase()] || {};
+  return mergeRules(base, normalizeRules(entry?.rules, `r/${entry?.subreddit} rules`));
+}
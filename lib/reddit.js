@@ -1,32 +1,28 @@
 import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
 
 // ---- basics ----
 export const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 const UA = process.env.USER_AGENT || 'linux:cryer:v0.3.0 (by /u/unknown)';
 
-function basicAuthHeader(id, secret) {
+// Overridable so a local stand-in (dev/fake-reddit.js) can replace Reddit.
+const trimSlash = (u) => String(u).replace(/\/+$/, '');
+export const REDDIT_BASE_URL = trimSlash(process.env.REDDIT_BASE_URL || 'https://www.reddit.com');
+export const REDDIT_OAUTH_BASE_URL = trimSlash(process.env.REDDIT_OAUTH_BASE_URL || 'https://oauth.reddit.com');
+export const REDDIT_TOKEN_URL = process.env.REDDIT_TOKEN_URL || `${REDDIT_BASE_URL}/api/v1/access_token`;
+export const REDDIT_AUTHORIZE_URL = process.env.REDDIT_AUTHORIZE_URL || `${REDDIT_BASE_URL}/api/v1/authorize`;
+
+export function basicAuthHeader(id, secret) {
   const enc = Buffer.from(`${id}:${secret}`).toString('base64');
   return `Basic ${enc}`;
 }
 
 const TOKEN_EARLY_REFRESH_BUFFER_MS = 60 * 1000; // refresh a minute before expiry
-let cachedToken = null;
-let cachedExpiry = 0;
-let inflightTokenPromise = null;
-
-function cacheToken(accessToken, expiresInSeconds) {
-  cachedToken = accessToken;
-  const fallbackSeconds = Number.isFinite(expiresInSeconds) ? expiresInSeconds : 3600;
-  const ttlMs = Math.max((fallbackSeconds * 1000) - TOKEN_EARLY_REFRESH_BUFFER_MS, 1000);
-  cachedExpiry = Date.now() + ttlMs;
-}
 
-function clearTokenCache() {
-  cachedToken = null;
-  cachedExpiry = 0;
-}
-
-async function requestAccessToken() {
+// Accounts are { key, username, clientId, clientSecret, password?, refreshToken?, userAgent? }
+// (see lib/accounts.js). Calls without an account use the REDDIT_* env credentials.
+export function envAccount() {
   const {
     REDDIT_CLIENT_ID,
     REDDIT_CLIENT_SECRET,
@@ -34,115 +30,250 @@ async function requestAccessToken() {
     REDDIT_PASSWORD,
     REDDIT_REFRESH_TOKEN
   } = process.env;
+  return {
+    key: 'default',
+    username: REDDIT_USERNAME || '',
+    clientId: REDDIT_CLIENT_ID || '',
+    clientSecret: REDDIT_CLIENT_SECRET || '',
+    password: REDDIT_PASSWORD || '',
+    refreshToken: REDDIT_REFRESH_TOKEN || '',
+    fromEnv: true
+  };
+}
 
-  if (!REDDIT_CLIENT_ID || !REDDIT_CLIENT_SECRET) {
-    throw new Error('Missing Reddit client id/secret');
+// One token cache (and in-flight request) per account key.
+const tokenCaches = new Map();
+function tokenCache(account) {
+  let c = tokenCaches.get(account.key);
+  if (!c) {
+    c = { token: null, expiry: 0, inflight: null };
+    tokenCaches.set(account.key, c);
+  }
+  return c;
+}
+
+function cacheToken(cache, accessToken, expiresInSeconds) {
+  cache.token = accessToken;
+  const fallbackSeconds = Number.isFinite(expiresInSeconds) ? expiresInSeconds : 3600;
+  const ttlMs = Math.max((fallbackSeconds * 1000) - TOKEN_EARLY_REFRESH_BUFFER_MS, 1000);
+  cache.expiry = Date.now() + ttlMs;
+}
+
+function clearTokenCache(cache) {
+  cache.token = null;
+  cache.expiry = 0;
+}
+
+// Drop cached tokens, e.g. after an account's credentials changed.
+export function forgetToken(accountKey) {
+  tokenCaches.delete(accountKey);
+}
+
+export const userAgent = (account) => account?.userAgent || UA;
+
+async function requestAccessToken(account) {
+  const { clientId, clientSecret, username, password, refreshToken } = account;
+  const who = account.fromEnv ? '' : ` (account ${account.key})`;
+
+  if (!clientId || !clientSecret) {
+    throw new Error(`Missing Reddit client id/secret${who}`);
   }
 
   const commonHeaders = {
-    'Authorization': basicAuthHeader(REDDIT_CLIENT_ID, REDDIT_CLIENT_SECRET),
-    'User-Agent': UA,
+    'Authorization': basicAuthHeader(clientId, clientSecret),
+    'User-Agent': userAgent(account),
     'Content-Type': 'application/x-www-form-urlencoded'
   };
 
   // Preferred path: refresh token
-  if (REDDIT_REFRESH_TOKEN) {
+  if (refreshToken) {
     const params = new URLSearchParams({
       grant_type: 'refresh_token',
-      refresh_token: REDDIT_REFRESH_TOKEN
+      refresh_token: refreshToken
     });
-    const r = await fetch('https://www.reddit.com/api/v1/access_token', {
+    const r = await fetch(REDDIT_TOKEN_URL, {
       method: 'POST',
       headers: commonHeaders,
       body: params
     });
     const json = await r.json();
-    if (!r.ok) throw new Error(`token refresh failed: ${r.status} ${JSON.stringify(json)}`);
+    if (!r.ok) throw new Error(`token refresh failed${who}: ${r.status} ${JSON.stringify(json)}`);
     return json;
   }
 
   // Script app path
-  if (!REDDIT_USERNAME || !REDDIT_PASSWORD) {
-    throw new Error('Missing Reddit username/password for script app');
+  if (!username || !password) {
+    throw new Error(`Missing Reddit username/password for script app${who}`);
   }
 
   const params = new URLSearchParams({
     grant_type: 'password',
-    username: REDDIT_USERNAME,
-    password: REDDIT_PASSWORD
+    username,
+    password
   });
 
-  const resp = await fetch('https://www.reddit.com/api/v1/access_token', {
+  const resp = await fetch(REDDIT_TOKEN_URL, {
     method: 'POST',
     headers: commonHeaders,
     body: params
   });
   const json = await resp.json();
-  if (!resp.ok) throw new Error(`token error: ${resp.status} ${JSON.stringify(json)}`);
+  if (!resp.ok) throw new Error(`token error${who}: ${resp.status} ${JSON.stringify(json)}`);
   return json;
 }
 
-export async function getToken() {
+export async function getToken(account = envAccount()) {
+  const cache = tokenCache(account);
   const now = Date.now();
-  if (cachedToken && now < cachedExpiry) {
-    return cachedToken;
+  if (cache.token && now < cache.expiry) {
+    return cache.token;
   }
 
-  if (!inflightTokenPromise) {
-    inflightTokenPromise = (async () => {
+  if (!cache.inflight) {
+    cache.inflight = (async () => {
       try {
-        const json = await requestAccessToken();
+        const json = await requestAccessToken(account);
         if (!json?.access_token) {
           throw new Error('token response missing access_token');
         }
-        cacheToken(json.access_token, Number(json?.expires_in));
-        return cachedToken;
+        cacheToken(cache, json.access_token, Number(json?.expires_in));
+        return cache.token;
       } finally {
-        inflightTokenPromise = null;
+        cache.inflight = null;
       }
     })().catch(err => {
-      clearTokenCache();
+      clearTokenCache(cache);
       throw err;
     });
   }
 
-  return inflightTokenPromise;
+  return cache.inflight;
 }
 
 // ---- submit & flair ----
+
+// Submit failures are thrown as Errors carrying Reddit's error code:
+//   err.code    RATELIMIT, SUBREDDIT_NOEXIST, SUBREDDIT_NOTALLOWED, NO_LINKS, NO_SELFS,
+//               SUBMIT_VALIDATION_FLAIR_REQUIRED, BAD_URL, ALREADY_SUB, TOO_LONG, ... or HTTP_<status>
+//   err.field   the form field Reddit blamed, if any
+//   err.waitMs  for RATELIMIT: how long Reddit asked us to wait (null if it did not say)
+function submitError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+const WAIT_UNIT_MS = { millisecond: 1, second: 1000, minute: 60 * 1000, hour: 3600 * 1000 };
+
+// "you are doing that too much. try again in 7 minutes." -> 420000
+export function parseRateLimitWait(message) {
+  const m = /(\d+(?:\.\d+)?)\s*(millisecond|second|minute|hour)s?/i.exec(String(message || ''));
+  if (!m) return null;
+  return Math.ceil(parseFloat(m[1]) * WAIT_UNIT_MS[m[2].toLowerCase()]);
+}
+
 // /api/submit supports link vs self posts via 'kind' plus url/text. Official behavior. :contentReference[oaicite:4]{index=4}
-export async function submitPost(accessToken, { sr, kind, title, text, url, flair_id, flair_text }) {
+// kind: self (text), link (url), image (url of an uploadMedia upload), crosspost (crosspost_fullname t3_...)
+export async function submitPost(accessToken, { sr, kind, title, text, url, crosspost_fullname, flair_id, flair_text }, account) {
   const params = new URLSearchParams({ sr, kind, title, api_type: 'json' });
   if (kind === 'self') params.append('text', text || '');
-  if (kind === 'link') params.append('url', url || '');
+  if (kind === 'link' || kind === 'image') params.append('url', url || '');
+  if (kind === 'crosspost') params.append('crosspost_fullname', crosspost_fullname || '');
   if (flair_id) params.append('flair_id', flair_id);
   if (flair_text) params.append('flair_text', flair_text);
 
-  const resp = await fetch('https://oauth.reddit.com/api/submit', {
+  const resp = await fetch(`${REDDIT_OAUTH_BASE_URL}/api/submit`, {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${accessToken}`,
-      'User-Agent': UA,
+      'User-Agent': userAgent(account),
       'Content-Type': 'application/x-www-form-urlencoded'
     },
     body: params
   });
+  return submitResult(resp);
+}
 
-  const json = await resp.json();
-  if (!resp.ok || json?.json?.errors?.length) {
-    throw new Error(`submit failed: ${resp.status} ${JSON.stringify(json?.json?.errors || json)}`);
+// items: [{ media_id (uploadMedia assetId), caption?, outbound_url? }]
+export async function submitGalleryPost(accessToken, { sr, title, items, flair_id, flair_text }, account) {
+  const body = { sr, title, items, api_type: 'json', show_error_list: true, validate_on_submit: true };
+  if (flair_id) body.flair_id = flair_id;
+  if (flair_text) body.flair_text = flair_text;
+  const resp = await fetch(`${REDDIT_OAUTH_BASE_URL}/api/submit_gallery_post.json?raw_json=1`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'User-Agent': userAgent(account),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+  return submitResult(resp);
+}
+
+// Shared by both submit endpoints: RATELIMIT/HTTP/Reddit errors become submitError throws.
+async function submitResult(resp) {
+  const json = await resp.json().catch(() => null);
+  if (resp.status === 429) {
+    const reset = parseFloat(resp.headers.get('x-ratelimit-reset'));
+    throw submitError('RATELIMIT', `submit failed: 429 ${JSON.stringify(json)}`, {
+      status: 429, waitMs: Number.isFinite(reset) ? Math.ceil(reset) * 1000 : null
+    });
+  }
+  if (!resp.ok) {
+    throw submitError(`HTTP_${resp.status}`, `submit failed: ${resp.status} ${JSON.stringify(json)}`, { status: resp.status });
+  }
+  const errors = json?.json?.errors || [];
+  if (errors.length) {
+    const [code, message, field] = errors[0];
+    throw submitError(code || 'SUBMIT_ERROR', `submit failed: ${code}: ${message}`, {
+      status: resp.status, field: field || null, errors,
+      waitMs: code === 'RATELIMIT' ? parseRateLimitWait(message) : undefined
+    });
   }
-  // Some responses don’t include permalink/id; we’ll resolve it below if needed. :contentReference[oaicite:5]{index=5}
+  // Some responses don’t include permalink/id (image posts never do); we’ll resolve it below if needed. :contentReference[oaicite:5]{index=5}
   const data = json?.json?.data || {};
   return { json: data, headers: resp.headers };
 }
 
+// Media asset lease: Reddit hands out an upload target and form fields, the file goes there, and
+// the result is { assetId, url } for image (url) and gallery (assetId) submissions.
+export async function uploadMedia(accessToken, filePath, mimeType, account) {
+  const lease = await fetch(`${REDDIT_OAUTH_BASE_URL}/api/media/asset.json`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'User-Agent': userAgent(account),
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ filepath: path.basename(filePath), mimetype: mimeType })
+  });
+  const json = await lease.json().catch(() => null);
+  const action = json?.args?.action;
+  const assetId = json?.asset?.asset_id;
+  if (!lease.ok || !action || !assetId) {
+    throw submitError(`HTTP_${lease.status}`, `media lease failed: ${lease.status} ${JSON.stringify(json)}`, { status: lease.status });
+  }
+  // the upload target comes without a scheme
+  const target = action.startsWith('//') ? `${new URL(REDDIT_OAUTH_BASE_URL).protocol}${action}` : action;
+  const form = new FormData();
+  for (const { name, value } of json.args.fields || []) form.append(name, value);
+  form.append('file', new Blob([await fs.promises.readFile(filePath)], { type: mimeType }), path.basename(filePath));
+  const up = await fetch(target, { method: 'POST', body: form });
+  if (!up.ok) {
+    throw submitError('MEDIA_UPLOAD_FAILED', `media upload failed: ${up.status} ${(await up.text().catch(() => '')).slice(0, 200)}`, { status: up.status });
+  }
+  const key = (json.args.fields || []).find(f => f.name === 'key')?.value;
+  return { assetId, url: `${target.replace(/\/+$/, '')}/${key}` };
+}
+
 // Fetch available flairs. Uses link_flair_v2 when available. :contentReference[oaicite:6]{index=6}
-export async function listLinkFlairs(subreddit) {
-  const accessToken = await getToken();
-  const url = `https://oauth.reddit.com/r/${encodeURIComponent(subreddit)}/api/link_flair_v2`;
+export async function listLinkFlairs(subreddit, account) {
+  const accessToken = await getToken(account);
+  const url = `${REDDIT_OAUTH_BASE_URL}/r/${encodeURIComponent(subreddit)}/api/link_flair_v2`;
   const resp = await fetch(url, {
-    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': UA }
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': userAgent(account) }
   });
   if (!resp.ok) return [];
   const arr = await resp.json();
@@ -152,6 +283,92 @@ export async function listLinkFlairs(subreddit) {
   }));
 }
 
+// Moderator-published submission requirements (title regexes, required flair, body policy,
+// domain lists, gallery limits); checked before submitting by lib/requirements.js.
+// Cached per subreddit for CRYER_POST_REQUIREMENTS_TTL_MS; throws when Reddit gives no answer.
+const POST_REQUIREMENTS_TTL_MS = parseInt(process.env.CRYER_POST_REQUIREMENTS_TTL_MS || String(6 * 60 * 60 * 1000), 10); // 6 hours
+const postRequirementsCache = new Map(); // lowercased subreddit -> { at, requirements }
+
+export async function fetchPostRequirements(subreddit, account) {
+  const key = String(subreddit).toLowerCase();
+  const hit = postRequirementsCache.get(key);
+  if (hit && Date.now() - hit.at < POST_REQUIREMENTS_TTL_MS) return hit.requirements;
+  const accessToken = await getToken(account);
+  const resp = await fetch(`${REDDIT_OAUTH_BASE_URL}/api/v1/${encodeURIComponent(subreddit)}/post_requirements?raw_json=1`, {
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': userAgent(account) }
+  });
+  if (!resp.ok) throw new Error(`post_requirements failed: ${resp.status}`);
+  const requirements = await resp.json();
+  postRequirementsCache.set(key, { at: Date.now(), requirements });
+  return requirements;
+}
+
+export function forgetPostRequirements(subreddit) {
+  if (subreddit) postRequirementsCache.delete(String(subreddit).toLowerCase()); else postRequirementsCache.clear();
+}
+
+// Identity of the authenticated account (karma, age, suspension flags).
+export async function fetchMe(accessToken, account) {
+  const resp = await fetch(`${REDDIT_OAUTH_BASE_URL}/api/v1/me`, {
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': userAgent(account) }
+  });
+  if (!resp.ok) throw new Error(`me failed: ${resp.status}`);
+  return resp.json();
+}
+
+// ---- account health ----
+// Before a session: /api/v1/me for suspension, karma and age, then the public profile fetched
+// without auth, which Reddit answers 404 for shadowbanned accounts. Results are cached per
+// account for CRYER_ACCOUNT_CHECK_TTL_MS; CRYER_ACCOUNT_CHECK=off skips the check.
+export const ACCOUNT_CHECK_ENABLED = (process.env.CRYER_ACCOUNT_CHECK || 'on').trim().toLowerCase() !== 'off';
+const ACCOUNT_CHECK_TTL_MS = parseInt(process.env.CRYER_ACCOUNT_CHECK_TTL_MS || String(10 * 60 * 1000), 10); // 10 minutes
+const healthCache = new Map(); // account key -> { at, health }
+
+// true / false, or null when Reddit gave no clear answer.
+async function publicProfileVisible(username, account) {
+  const resp = await fetch(`${REDDIT_BASE_URL}/user/${encodeURIComponent(username)}/about.json?raw_json=1`, {
+    headers: { 'User-Agent': userAgent(account) }
+  });
+  if (resp.status === 404) return false;
+  if (!resp.ok) return null;
+  const json = await resp.json();
+  return !json?.data?.is_suspended;
+}
+
+// { ok: true|false, username, karma, ageDays, suspended, shadowbanned, problems: [], unverified: [] }.
+// ok is false only for a suspended or shadowbanned account; lookups that fail land in `unverified`.
+export async function checkAccountHealth(account, { fresh = false } = {}) {
+  const cacheKey = account?.key || 'default';
+  const hit = healthCache.get(cacheKey);
+  if (!fresh && hit && Date.now() - hit.at < ACCOUNT_CHECK_TTL_MS) return hit.health;
+
+  const health = { ok: true, username: account?.username || null, karma: null, ageDays: null, suspended: null, shadowbanned: null, problems: [], unverified: [] };
+  try {
+    const me = await fetchMe(await getToken(account), account);
+    health.username = me?.name || health.username;
+    health.karma = Number(me?.link_karma || 0) + Number(me?.comment_karma || 0);
+    if (Number.isFinite(me?.created_utc)) health.ageDays = Math.floor((Date.now() / 1000 - me.created_utc) / 86400);
+    health.suspended = !!me?.is_suspended;
+  } catch (e) {
+    health.unverified.push(`account lookup failed: ${e.message}`);
+  }
+  if (health.username) {
+    try {
+      const visible = await publicProfileVisible(health.username, account);
+      if (visible === null) health.unverified.push('public profile gave no answer');
+      else health.shadowbanned = !visible && !health.suspended;
+    } catch (e) {
+      health.unverified.push(`public profile lookup failed: ${e.message}`);
+    }
+  }
+  if (health.suspended) health.problems.push(`u/${health.username} is suspended`);
+  if (health.shadowbanned) health.problems.push(`u/${health.username} looks shadowbanned (public profile not found)`);
+  health.ok = !health.problems.length;
+  // failed lookups are retried next session instead of being cached
+  if (!health.unverified.length) healthCache.set(cacheKey, { at: Date.now(), health });
+  return health;
+}
+
 // ---- rate limit ----
 export async function rateLimitPause(resp) {
   try {
@@ -172,12 +389,12 @@ export async function rateLimitPause(resp) {
 // ---- lookups for monitoring & post-submit resolution ----
 
 // id form: bare base36 like "abc123". We call /api/info?id=t3_<id> . :contentReference[oaicite:7]{index=7}
-export async function fetchSubmissionInfo(idOrFullname) {
-  const accessToken = await getToken();
+export async function fetchSubmissionInfo(idOrFullname, account) {
+  const accessToken = await getToken(account);
   const fullname = idOrFullname.startsWith('t3_') ? idOrFullname : `t3_${idOrFullname}`;
-  const url = `https://oauth.reddit.com/api/info?id=${encodeURIComponent(fullname)}&raw_json=1`;
+  const url = `${REDDIT_OAUTH_BASE_URL}/api/info?id=${encodeURIComponent(fullname)}&raw_json=1`;
   const resp = await fetch(url, {
-    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': UA }
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': userAgent(account) }
   });
   if (!resp.ok) return null;
   const json = await resp.json();
@@ -185,15 +402,47 @@ export async function fetchSubmissionInfo(idOrFullname) {
   return thing || null;
 }
 
-// After submit, if the API didn’t return id/permalink, look at our own user’s recent submissions.
+// Up to INFO_BATCH_SIZE fullnames per /api/info call. Returns Map(bare id -> thing); ids Reddit
+// does not return are left out. Throws when a batch fails.
+export const INFO_BATCH_SIZE = 100;
+
+export async function fetchSubmissionInfos(ids, account) {
+  const accessToken = await getToken(account);
+  const out = new Map();
+  for (let i = 0; i < ids.length; i += INFO_BATCH_SIZE) {
+    const fullnames = ids.slice(i, i + INFO_BATCH_SIZE).map(id => id.startsWith('t3_') ? id : `t3_${id}`);
+    const resp = await fetch(`${REDDIT_OAUTH_BASE_URL}/api/info?id=${encodeURIComponent(fullnames.join(','))}&raw_json=1`, {
+      headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': userAgent(account) }
+    });
+    if (!resp.ok) throw new Error(`info failed: ${resp.status}`);
+    const json = await resp.json();
+    for (const c of json?.data?.children || []) if (c?.data?.id) out.set(c.data.id, c.data);
+    await rateLimitPause(resp);
+  }
+  return out;
+}
+
+// Newest submissions of a subreddit (at most 100), newest first.
+export async function fetchSubredditNew(subreddit, account, limit = 100) {
+  const accessToken = await getToken(account);
+  const resp = await fetch(`${REDDIT_OAUTH_BASE_URL}/r/${encodeURIComponent(subreddit)}/new?limit=${limit}&raw_json=1`, {
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': userAgent(account) }
+  });
+  if (!resp.ok) throw new Error(`new listing failed: ${resp.status}`);
+  const json = await resp.json();
+  return (json?.data?.children || []).map(c => c.data).filter(Boolean);
+}
+
+// After submit, if the API didn’t return id/permalink, look at the posting account’s recent submissions.
 // Uses standard listing under /user/{name}/submitted. :contentReference[oaicite:8]{index=8}
-export async function resolveRecentSubmission(subreddit, title, sinceEpochMs = Date.now() - 10 * 60 * 1000) {
-  const accessToken = await getToken();
-  const user = process.env.REDDIT_USERNAME;
+export async function resolveRecentSubmission(subreddit, title, sinceEpochMs = Date.now() - 10 * 60 * 1000, account = envAccount()) {
+  const accessToken = await getToken(account);
+  // refresh-token accounts may not know their username
+  const user = account.username || (await fetchMe(accessToken, account).catch(() => null))?.name;
   if (!user) return null;
-  const url = `https://oauth.reddit.com/user/${encodeURIComponent(user)}/submitted?limit=10`;
+  const url = `${REDDIT_OAUTH_BASE_URL}/user/${encodeURIComponent(user)}/submitted?limit=10`;
   const resp = await fetch(url, {
-    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': UA }
+    headers: { 'Authorization': `Bearer ${accessToken}`, 'User-Agent': userAgent(account) }
   });
   if (!resp.ok) return null;
   const json = await resp.json();
@@ -0,0 +1,74 @@
+import { parseDuration, formatDuration } from './rules.js';
+
+// What happens to a subreddit entry when the removal monitor finds one of its posts removed.
+//
+// entry.onRemoval: {
+//   extendCooldown: "1d",   lengthen the entry's cooldown by this much on every removal
+//   pauseAfter: 3,          pause the entry after this many removals ...
+//   pauseWindow: "7d",      ... within this span (default 7d); resume it from cryerctl
+//   requeue: true,          move the entry back into the server's queue for a human to revise
+//   retryNextVariant: true  post once more with the next variant (lib/variants.js) when the
+//                           cooldown allows; a retry that is removed again is not retried
+// }
+// Spam-filter hits count as removals; author deletions do not run the policy.
+// The actions taken are stored on the posted record (removalActions) and sent with
+// cryer.post.removed.
+
+export const REMOVAL_POLICY_KEYS = ['extendCooldown', 'pauseAfter', 'pauseWindow', 'requeue', 'retryNextVariant'];
+export const DEFAULT_PAUSE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+// Entry fields the policy sets; they belong to the live entry and are not copied with it.
+export const REMOVAL_STATE_FIELDS = ['paused', 'retryVariant'];
+
+export function withoutRemovalState(entry) {
+  return Object.fromEntries(Object.entries(entry).filter(([k]) => !REMOVAL_STATE_FIELDS.includes(k)));
+}
+
+// Throws on unknown keys and bad values; returns undefined for an empty policy.
+export function normalizeRemovalPolicy(input) {
+  if (input === undefined || input === null) return undefined;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('onRemoval must be an object');
+  const unknown = Object.keys(input).filter(k => !REMOVAL_POLICY_KEYS.includes(k));
+  if (unknown.length) throw new Error(`unknown onRemoval setting(s): ${unknown.join(', ')}`);
+  const out = {};
+  for (const k of ['extendCooldown', 'pauseWindow']) {
+    if (input[k] === undefined || input[k] === null || input[k] === '') continue;
+    const ms = parseDuration(input[k]);
+    if (!Number.isFinite(ms) || ms <= 0) throw new Error(`onRemoval.${k} must be a duration like "12h" or "7d"`);
+    out[k] = formatDuration(ms);
+  }
+  if (input.pauseAfter !== undefined && input.pauseAfter !== null && input.pauseAfter !== '') {
+    const n = Number(input.pauseAfter);
+    if (!Number.isInteger(n) || n < 1) throw new Error('onRemoval.pauseAfter must be a whole number of removals (1 or more)');
+    out.pauseAfter = n;
+  }
+  for (const k of ['requeue', 'retryNextVariant']) {
+    if (input[k] === undefined) continue;
+    if (typeof input[k] !== 'boolean') throw new Error(`onRemoval.${k} must be true or false`);
+    if (input[k]) out[k] = true;
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+export function pauseWindowMs(policy) {
+  const ms = parseDuration(policy?.pauseWindow);
+  return Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_PAUSE_WINDOW_MS;
+}
+
+// Removals of the subreddit detected since sinceUtc, not counting the record `except`.
+export function removalsSince(records, subreddit, sinceUtc, except = null) {
+  const sub = String(subreddit).toLowerCase();
+  const isExcept = (r) => !!except && r.id === except.id && r.createdUtc === except.createdUtc;
+  return records.filter(r => r.status === 'removed' && !isExcept(r)
+    && String(r.subreddit).toLowerCase() === sub && (r.removal?.checkedUtc || 0) >= sinceUtc).length;
+}
+
+// Short description of a policy for listings.
+export function describeRemovalPolicy(policy) {
+  if (!policy) return 'none';
+  const parts = [];
+  if (policy.extendCooldown) parts.push(`cooldown +${policy.extendCooldown}`);
+  if (policy.pauseAfter) parts.push(`pause after ${policy.pauseAfter} in ${formatDuration(pauseWindowMs(policy))}`);
+  if (policy.requeue) parts.push('back to queue');
+  if (policy.retryNextVariant) parts.push('retry next variant');
+  return parts.join(', ') || 'none';
+}
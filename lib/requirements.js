@@ -0,0 +1,80 @@
+// Checks a post against a subreddit's post requirements (GET /api/v1/<sub>/post_requirements,
+// fetched and cached by lib/reddit.js fetchPostRequirements). Used by the post_requirements
+// validation rule and the cryerctl subreddit editors. CRYER_POST_REQUIREMENTS=off skips the lookup.
+//
+// Reddit matches regexes and strings case-insensitively; a regex JavaScript cannot compile is
+// skipped rather than blocking the post.
+
+export const POST_REQUIREMENTS_ENABLED = (process.env.CRYER_POST_REQUIREMENTS || 'on').trim().toLowerCase() !== 'off';
+
+const list = (x) => Array.isArray(x) ? x.filter(v => typeof v === 'string' && v) : [];
+const lower = (s) => String(s || '').toLowerCase();
+
+function matchesAny(text, regexes) {
+  const compiled = [];
+  for (const r of regexes) {
+    try { compiled.push(new RegExp(r, 'i')); } catch {}
+  }
+  return !compiled.length || compiled.some(re => re.test(text));
+}
+
+function hostOf(u) {
+  try { return new URL(u).hostname.toLowerCase().replace(/^www\./, ''); } catch { return null; }
+}
+
+const inDomainList = (host, domains) => domains.some(d => {
+  const dd = lower(d).replace(/^www\./, '');
+  return host === dd || host.endsWith(`.${dd}`);
+});
+
+// Text checks shared by title and body: length, regexes, required and banned strings.
+function textProblems(label, text, req, prefix) {
+  const problems = [];
+  const min = req[`${prefix}_text_min_length`];
+  const max = req[`${prefix}_text_max_length`];
+  if (Number.isFinite(min) && text.length < min) problems.push(`${label} must be at least ${min} characters`);
+  if (Number.isFinite(max) && text.length > max) problems.push(`${label} must be at most ${max} characters`);
+  const regexes = list(req[`${prefix}_regexes`]);
+  if (!matchesAny(text, regexes)) problems.push(`${label} must match ${regexes.map(r => `/${r}/`).join(' or ')}`);
+  const required = list(req[`${prefix}_required_strings`]);
+  if (required.length && !required.some(w => lower(text).includes(lower(w)))) {
+    problems.push(`${label} must contain one of: ${required.join(', ')}`);
+  }
+  const banned = list(req[`${prefix}_blacklisted_strings`]).filter(w => lower(text).includes(lower(w)));
+  if (banned.length) problems.push(`${label} must not contain: ${banned.join(', ')}`);
+  return problems;
+}
+
+// Problems with the post under these requirements (empty when it passes or there are none).
+export function requirementProblems(post, req) {
+  if (!req || typeof req !== 'object') return [];
+  const problems = textProblems('title', String(post.title || ''), req, 'title');
+
+  if (post.type === 'self') {
+    const body = String(post.body || '').trim();
+    if (req.body_restriction_policy === 'required' && !body) problems.push('a body is required');
+    if (req.body_restriction_policy === 'notAllowed' && body) problems.push('text bodies are not allowed');
+    if (body) problems.push(...textProblems('body', body, req, 'body'));
+  }
+
+  if (req.is_flair_required && !post.flair_id) problems.push('a post flair is required');
+
+  if (post.type === 'link') {
+    const host = hostOf(post.url);
+    const denied = list(req.domain_blacklist);
+    const allowed = list(req.domain_whitelist);
+    if (host && inDomainList(host, denied)) problems.push(`links to ${host} are not allowed`);
+    else if (host && allowed.length && !inDomainList(host, allowed)) problems.push(`links must go to ${allowed.join(', ')}`);
+  }
+
+  if (post.type === 'gallery') {
+    const images = Array.isArray(post.images) ? post.images : [];
+    if (Number.isFinite(req.gallery_min_items) && images.length < req.gallery_min_items) problems.push(`galleries need at least ${req.gallery_min_items} images`);
+    if (Number.isFinite(req.gallery_max_items) && images.length > req.gallery_max_items) problems.push(`galleries allow at most ${req.gallery_max_items} images`);
+    if (req.gallery_captions_requirement === 'required' && images.some(i => !i?.caption)) problems.push('every gallery image needs a caption');
+    if (req.gallery_captions_requirement === 'forbidden' && images.some(i => i?.caption)) problems.push('gallery captions are not allowed');
+    if (req.gallery_urls_requirement === 'required' && images.some(i => !i?.outboundUrl)) problems.push('every gallery image needs an outbound URL');
+    if (req.gallery_urls_requirement === 'forbidden' && images.some(i => i?.outboundUrl)) problems.push('gallery outbound URLs are not allowed');
+  }
+  return problems;
+}
@@ -0,0 +1,153 @@
+// Subreddit rules model: the keys a rules object may hold, cadence parsing
+// and validation. Used by the advertise loop, the policy catalog and cryerctl.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_COOLDOWN_MS = DAY_MS;
+
+// key -> expected type ('duration' is a string like "1d 12h" or "90m", 'list' an array of strings)
+export const RULE_KEYS = {
+  cooldown: 'duration',
+  cooldownMinutes: 'number',
+  cooldownHours: 'number',
+  cooldownDays: 'number',
+  requirePermanentInvite: 'boolean',
+  minBodyLength: 'number',
+  maxBodyLength: 'number',
+  disallowLinkInTitle: 'boolean',
+  karmaRequired: 'number',
+  minAccountAgeDays: 'number',
+  disallowNSFW: 'boolean',
+  disallowHate: 'boolean',
+  disallowSubstance: 'boolean',
+  disallowWeapon: 'boolean',
+  disallowHacks: 'boolean',
+  disallowScam: 'boolean',
+  disallowIDGated: 'boolean',
+  allowedDomains: 'list',
+  deniedDomains: 'list'
+};
+
+const CADENCE_KEYS = ['cooldown', 'cooldownMinutes', 'cooldownHours', 'cooldownDays'];
+
+// Older entries and the catalog disagree on a few spellings.
+const RULE_ALIASES = {
+  requiresPermanentInvite: 'requirePermanentInvite'
+};
+
+const UNIT_MS = { w: 7 * DAY_MS, d: DAY_MS, h: HOUR_MS, m: MINUTE_MS };
+
+// "1d12h", "1d 12h", "90m", "36h" -> ms. Returns NaN for anything else.
+export function parseDuration(input) {
+  const s = String(input ?? '').trim().toLowerCase();
+  if (!s) return NaN;
+  const re = /(\d+(?:\.\d+)?)\s*([wdhm])/gy;
+  let total = 0;
+  let m;
+  let pos = 0;
+  while ((m = re.exec(s))) {
+    total += parseFloat(m[1]) * UNIT_MS[m[2]];
+    pos = re.lastIndex;
+    while (s[pos] === ' ' || s[pos] === ',') pos++;
+    re.lastIndex = pos;
+  }
+  return pos === s.length ? total : NaN;
+}
+
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms <= 0) return '0m';
+  let rest = Math.round(ms / MINUTE_MS);
+  const parts = [];
+  for (const [unit, size] of [['d', 1440], ['h', 60], ['m', 1]]) {
+    const n = Math.floor(rest / size);
+    if (n) parts.push(`${n}${unit}`);
+    rest -= n * size;
+  }
+  return parts.join(' ') || '0m';
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function closestKey(key) {
+  let best = null;
+  let bestDist = 4;
+  for (const k of Object.keys(RULE_KEYS)) {
+    const d = editDistance(key.toLowerCase(), k.toLowerCase());
+    if (d < bestDist) { best = k; bestDist = d; }
+  }
+  return best;
+}
+
+// Canonicalize aliases and reject unknown keys or wrongly typed values.
+export function normalizeRules(raw, label = 'rules') {
+  if (raw == null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${label}: must be an object`);
+  const out = {};
+  const problems = [];
+  for (const [k0, v] of Object.entries(raw)) {
+    const k = RULE_ALIASES[k0] || k0;
+    const type = RULE_KEYS[k];
+    if (!type) {
+      const hint = closestKey(k);
+      problems.push(`unknown rule "${k0}"${hint ? ` (did you mean "${hint}"?)` : ''}`);
+      continue;
+    }
+    if (v === null || v === undefined) continue;
+    if (type === 'number' && !(typeof v === 'number' && Number.isFinite(v) && v >= 0)) {
+      problems.push(`"${k0}" must be a non-negative number`);
+    } else if (type === 'boolean' && typeof v !== 'boolean') {
+      problems.push(`"${k0}" must be true or false`);
+    } else if (type === 'list' && !(Array.isArray(v) && v.every(x => typeof x === 'string' && x.trim()))) {
+      problems.push(`"${k0}" must be a list of strings`);
+    } else if (type === 'duration' && !Number.isFinite(parseDuration(v))) {
+      problems.push(`"${k0}" must be a duration like "12h", "1d 6h" or "90m"`);
+    }
+    out[k] = v;
+  }
+  if (problems.length) throw new Error(`${label}: ${problems.join('; ')}`);
+  return out;
+}
+
+// Later layers win; any cadence key in a layer replaces the earlier layer's cadence entirely.
+export function mergeRules(...layers) {
+  let out = {};
+  for (const layer of layers) {
+    if (!layer) continue;
+    if (CADENCE_KEYS.some(k => layer[k] !== undefined)) {
+      out = Object.fromEntries(Object.entries(out).filter(([k]) => !CADENCE_KEYS.includes(k)));
+    }
+    out = { ...out, ...layer };
+  }
+  return out;
+}
+
+// Mixed units add up: { cooldownDays: 1, cooldownHours: 6 } is 30h.
+export function cooldownMs(rules) {
+  const r = rules || {};
+  if (!CADENCE_KEYS.some(k => r[k] !== undefined)) return DEFAULT_COOLDOWN_MS;
+  let ms = 0;
+  if (r.cooldown !== undefined) ms += parseDuration(r.cooldown);
+  if (Number.isFinite(r.cooldownMinutes)) ms += r.cooldownMinutes * MINUTE_MS;
+  if (Number.isFinite(r.cooldownHours)) ms += r.cooldownHours * HOUR_MS;
+  if (Number.isFinite(r.cooldownDays)) ms += r.cooldownDays * DAY_MS;
+  return ms;
+}
+
+// Replace whatever cadence keys a rules object has with a single "cooldown" string.
+export function withCooldown(rules, duration) {
+  const out = Object.fromEntries(Object.entries(rules || {}).filter(([k]) => !CADENCE_KEYS.includes(k)));
+  out.cooldown = String(duration).trim();
+  return out;
+}
@@ -0,0 +1,59 @@
+import { hasRecurrence, normalizeRecurrence, nextRecurrenceMs } from './cron.js';
+
+// Shared by the schedule API and cryerctl: turn user input into a patch for a stored entry.
+//   at | afterMs                    new fire time (recurring: next fire only; later ones follow the recurrence)
+//   cron | daily | window, tz, jitterMinutes   replace the recurrence (recomputes the next fire)
+//   subreddits                      array of names, or null for the whole server
+//   paused                          true / false (resuming a recurring entry recomputes from now)
+// Throws with a user-facing message on invalid input.
+export function buildSchedulePatch(current, input = {}) {
+  const patch = {};
+
+  if (input.subreddits !== undefined) {
+    const subs = input.subreddits;
+    if (subs !== null && !(Array.isArray(subs) && subs.every(x => typeof x === 'string' && x))) {
+      throw new Error('subreddits must be an array of names or null');
+    }
+    patch.subreddits = subs?.length ? subs : undefined;
+  }
+
+  if (hasRecurrence(input)) {
+    const tz = input.tz ?? current.recurrence?.tz;
+    patch.recurrence = normalizeRecurrence({ ...input, tz });
+    patch.reason = 'recurring';
+    patch.whenMs = nextRecurrenceMs(patch.recurrence);
+    if (patch.whenMs === null) throw new Error('schedule never fires');
+    if (current.paused === undefined) patch.paused = false;
+  } else if (input.tz !== undefined || input.jitterMinutes !== undefined) {
+    if (!current.recurrence) throw new Error('tz and jitterMinutes only apply to recurring schedules');
+    patch.recurrence = normalizeRecurrence({ ...current.recurrence, ...pick(input, ['tz', 'jitterMinutes']) });
+    patch.whenMs = nextRecurrenceMs(patch.recurrence);
+  }
+
+  if (input.at !== undefined || input.afterMs !== undefined) {
+    const whenMs = input.afterMs !== undefined ? Date.now() + Number(input.afterMs) : Number(input.at);
+    if (!Number.isFinite(whenMs)) throw new Error('at must be epoch ms and afterMs a number of ms');
+    patch.whenMs = whenMs;
+  }
+
+  // rescheduling a finished or failed entry arms it again
+  if (patch.whenMs !== undefined && ['done', 'failed'].includes(current.state)) {
+    patch.state = 'pending';
+    patch.attempts = 0;
+  }
+
+  if (input.paused !== undefined) {
+    if (typeof input.paused !== 'boolean') throw new Error('paused must be true or false');
+    patch.paused = input.paused;
+    const recurrence = patch.recurrence || current.recurrence;
+    if (!input.paused && current.paused && recurrence && patch.whenMs === undefined) {
+      patch.whenMs = nextRecurrenceMs(recurrence);
+    }
+  }
+
+  return patch;
+}
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter(k => obj[k] !== undefined).map(k => [k, obj[k]]));
+}
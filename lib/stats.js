@@ -0,0 +1,70 @@
+// Post performance: snapshots the removal monitor stores on posted records, and per-subreddit
+// aggregates over them (GET /v1/servers/:key/stats, cryerctl "Performance report").
+//
+// record.snapshots: [{ atUtc, ageHours, score, upvoteRatio, numComments, views }], oldest first,
+// at most one per SNAPSHOT_INTERVAL_S (the monitor checks more often). record.metrics is the latest.
+
+export const SNAPSHOT_INTERVAL_S = 3600;
+export const CHECKPOINT_HOURS = 24;
+
+export function snapshotOf(thing, createdUtc, nowUtc = Math.floor(Date.now() / 1000)) {
+  return {
+    atUtc: nowUtc,
+    ageHours: Math.round(((nowUtc - (createdUtc || nowUtc)) / 3600) * 10) / 10,
+    score: thing.score ?? null,
+    upvoteRatio: thing.upvote_ratio ?? null,
+    numComments: thing.num_comments ?? null,
+    views: thing.view_count ?? null
+  };
+}
+
+// True when the record has no snapshot yet or the last one is older than the interval.
+export function snapshotDue(record, nowUtc = Math.floor(Date.now() / 1000)) {
+  const last = record.snapshots?.[record.snapshots.length - 1];
+  return !last || nowUtc - last.atUtc >= SNAPSHOT_INTERVAL_S;
+}
+
+// The first snapshot taken at least `hours` after posting, or null (too young, or tracking stopped).
+export function snapshotAt(record, hours = CHECKPOINT_HOURS) {
+  return (record.snapshots || []).find(s => s.ageHours >= hours) || null;
+}
+
+export function median(values) {
+  const xs = values.filter(v => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!xs.length) return null;
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+// Aggregates per subreddit, most posts first. sinceUtc limits to records posted after it.
+export function subredditStats(records, { sinceUtc = 0 } = {}) {
+  const bySub = new Map();
+  for (const r of records) {
+    if ((r.createdUtc || 0) < sinceUtc) continue;
+    if (!bySub.has(r.subreddit)) bySub.set(r.subreddit, []);
+    bySub.get(r.subreddit).push(r);
+  }
+  const out = [];
+  for (const [subreddit, rs] of bySub) {
+    const removed = rs.filter(r => r.status === 'removed');
+    const removalCategories = {};
+    for (const r of removed) {
+      const c = r.removal?.category || 'unknown';
+      removalCategories[c] = (removalCategories[c] || 0) + 1;
+    }
+    const at24 = rs.map(r => snapshotAt(r)).filter(Boolean);
+    out.push({
+      subreddit,
+      posts: rs.length,
+      live: rs.filter(r => r.status === 'live').length,
+      removed: removed.length,
+      removalRate: removed.length / rs.length,
+      removalCategories,
+      measured24h: at24.length,
+      medianScore24h: median(at24.map(s => s.score)),
+      medianComments24h: median(at24.map(s => s.numComments)),
+      lastPostedUtc: Math.max(...rs.map(r => r.createdUtc || 0))
+    });
+  }
+  return out.sort((a, b) => b.posts - a.posts || a.subreddit.localeCompare(b.subreddit));
+}
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+
+// Shapes and rules shared by the storage backends (json.js, sqlite.js).
+
+export const SCHEDULE_HISTORY_MAX = 500;
+
+export function newId() {
+    return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+export function slugifyName(name) {
+    return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'server';
+}
+
+// A server key names a directory under <data>/servers: no path separators or dot segments.
+export function isSafeServerKey(serverKey) {
+    return typeof serverKey === 'string' && !!serverKey.trim() && serverKey !== '.' && !/[\/\\\0]|\.\./.test(serverKey);
+}
+
+// Normalize legacy shapes ({id, name}) to ({key, name})
+export function normalizeServerEntry(s) {
+    const key = s.key || s.id || slugifyName(s.name || '');
+    const name = s.name || s.id || s.key || key;
+    return { key, name };
+}
+
+export function defaultServerConfig(serverKey, name = serverKey) {
+    return {
+        key: serverKey,
+        name,
+        lastAdAt: 0, // epoch ms of last non-dry successful session with at least one post
+        defaults: {
+            title: "",
+            invite: "",
+            body: ""
+        }
+    };
+}
+
+// Merge in defaults to avoid missing keys from older files
+export function withConfigDefaults(serverKey, cfg) {
+    return { ...defaultServerConfig(serverKey, cfg?.name), ...cfg };
+}
+
+// Subreddit and queue entries are keyed by `key`, falling back to the subreddit name.
+export function entryKey(entry) {
+    return entry.key || entry.subreddit;
+}
+
+// ---------- schedules ----------
+// An entry with `subreddits` only posts those subs of the server; without it the whole server runs.
+// An entry with `recurrence` ({ cron, tz, jitterMinutes }) is re-armed after firing;
+// `paused` entries are kept but never fire.
+// state: pending -> running -> done | failed (failed runs go back to pending with backoff until
+// attempts run out). Entries written before states existed have no `state` and count as pending.
+export function newScheduleEntry({ serverKey, whenMs, reason = 'throttled', subreddits = null, recurrence = null }) {
+    const entry = { id: newId(), serverKey, whenMs, reason, createdMs: Date.now(), state: 'pending', attempts: 0 };
+    if (Array.isArray(subreddits) && subreddits.length) entry.subreddits = subreddits;
+    if (recurrence) {
+        entry.recurrence = recurrence;
+        entry.paused = false;
+    }
+    return entry;
+}
+
+export function scheduleState(entry) {
+    return entry.state || 'pending';
+}
+
+// The pending one-shot entry that re-runs just this subreddit, if any.
+// Entries already due are being fired right now and do not count.
+export function findSubredditSchedule(list, serverKey, subreddit, now = Date.now()) {
+    return list.find(s => s.serverKey === serverKey && s.whenMs > now && !s.recurrence
+        && scheduleState(s) === 'pending'
+        && s.subreddits?.length === 1 && s.subreddits[0] === subreddit) || null;
+}
+
+export function isFinishedBefore(entry, cutoffMs) {
+    return ['done', 'failed'].includes(scheduleState(entry)) && (entry.finishedMs || 0) < cutoffMs;
+}
+
+// ---------- session locks ----------
+export function newSessionLock({ serverKey, account = null, leaseMs }) {
+    const now = Date.now();
+    return { sessionId: newId(), serverKey, account, pid: process.pid, startedMs: now, leaseUntil: now + leaseMs };
+}
+
+export function locksConflict(lock, { serverKey, account }) {
+    return lock.serverKey === serverKey || (!!account && lock.account === account);
+}
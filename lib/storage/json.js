@@ -0,0 +1,432 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { log } from '../logger.js';
+import {
+    SCHEDULE_HISTORY_MAX, isSafeServerKey, normalizeServerEntry, defaultServerConfig, withConfigDefaults, entryKey,
+    newScheduleEntry, findSubredditSchedule, isFinishedBefore, newSessionLock, locksConflict
+} from './common.js';
+
+// JSON file storage backend (the default): one file per list under the data dir.
+//   servers.json, accounts.json, schedules.json, schedule-history.json, sessions.json
+//   servers/<key>/{server,subreddits,queue,cooldowns,posted}.json
+
+// ---------- JSON helpers ----------
+// Writes go to a temp file that is fsynced and renamed over the target, so a crash leaves either the
+// old or the new content; the previous content is kept as <file>.bak. A file that no longer parses is
+// restored from the .bak (the broken copy is kept as <file>.corrupt-<ms>); without a usable backup the
+// read throws instead of returning the fallback, so the next write cannot wipe the data.
+//
+// Read-modify-write goes through updateJSON, which holds <file>.lock. The lock is a file, so it also
+// covers cryerctl running next to the server. Waiting for it blocks the process (the store API is
+// sync), so the server lowers the wait with setLockWaitMs; cryerctl keeps the default.
+const LOCK_WAIT_MS = 10 * 1000;
+let lockWaitMs = LOCK_WAIT_MS;
+const LOCK_STALE_MS = 30 * 1000;
+const heldLocks = new Set();
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+export function setLockWaitMs(ms) {
+    lockWaitMs = ms;
+}
+
+export function readJSON(file, fallback) {
+    let raw;
+    try { raw = fs.readFileSync(file, 'utf8'); }
+    catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw e;
+    }
+    try { return JSON.parse(raw); }
+    catch (e) { return recoverJSON(file, e); }
+}
+
+export function writeJSON(file, obj) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(obj, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`);
+    fs.renameSync(tmp, file);
+}
+
+// Locked read-modify-write. The mutator changes the value in place or returns a replacement;
+// returning false leaves the file untouched. Returns the value as stored.
+export function updateJSON(file, fallback, mutator) {
+    return withFileLock(file, () => {
+        const current = readJSON(file, fallback);
+        const out = mutator(current);
+        if (out === false) return current;
+        const next = out === undefined ? current : out;
+        writeJSON(file, next);
+        return next;
+    });
+}
+
+// Runs fn (synchronously) while holding <file>.lock. Re-entrant within this process.
+export function withFileLock(file, fn) {
+    const lockPath = `${file}.lock`;
+    if (heldLocks.has(lockPath)) return fn();
+    acquireLock(lockPath);
+    heldLocks.add(lockPath);
+    try {
+        return fn();
+    } finally {
+        heldLocks.delete(lockPath);
+        try { fs.unlinkSync(lockPath); } catch {}
+    }
+}
+
+function acquireLock(lockPath) {
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    const deadline = Date.now() + lockWaitMs;
+    while (true) {
+        try {
+            fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, at: Date.now() }), { flag: 'wx' });
+            return;
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+        if (lockIsStale(lockPath)) {
+            try { fs.unlinkSync(lockPath); } catch {}
+            log.warn('store.stale_lock', { lock: lockPath });
+            continue;
+        }
+        if (Date.now() > deadline) throw new Error(`timed out waiting for ${lockPath}`);
+        Atomics.wait(sleepCell, 0, 0, 25); // short synchronous back-off; the store API is sync
+    }
+}
+
+// Stale when the owner process is gone or the lock is far older than any write takes.
+function lockIsStale(lockPath) {
+    let info;
+    try { info = JSON.parse(fs.readFileSync(lockPath, 'utf8')); }
+    catch {
+        // missing or half-written by its owner: only stale once it has been sitting there a while
+        try { return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS; } catch { return false; }
+    }
+    if (Date.now() - (info.at || 0) > LOCK_STALE_MS) return true;
+    if (!info.pid || info.pid === process.pid) return false;
+    try {
+        process.kill(info.pid, 0);
+        return false;
+    } catch (e) {
+        return e.code === 'ESRCH';
+    }
+}
+
+function recoverJSON(file, parseError) {
+    return withFileLock(file, () => {
+        // another process may have repaired it while we waited for the lock
+        try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch {}
+        const bak = `${file}.bak`;
+        let restored;
+        try { restored = JSON.parse(fs.readFileSync(bak, 'utf8')); }
+        catch {
+            log.error('store.corrupt', { file, error: parseError.message, backup: false });
+            throw new Error(`${file} is corrupt (${parseError.message}) and has no usable backup`);
+        }
+        const corruptCopy = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, corruptCopy);
+        writeJSON(file, restored);
+        log.warn('store.recovered', { file, error: parseError.message, corruptCopy });
+        return restored;
+    });
+}
+
+// ---------- Server registry ----------
+export function serversIndexPath(dataDir) {
+    return path.join(dataDir, 'servers.json');
+}
+
+export function listServers(dataDir) {
+    return readJSON(serversIndexPath(dataDir), []).map(normalizeServerEntry);
+}
+
+export function saveServers(dataDir, list) {
+    writeJSON(serversIndexPath(dataDir), list);
+}
+function updateServers(dataDir, mutator) {
+    return updateJSON(serversIndexPath(dataDir), [], mutator);
+}
+
+export function getServerPaths(dataDir, serverKey) {
+    if (!serverKey || typeof serverKey !== 'string') {
+        throw new Error('getServerPaths: serverKey must be a non-empty string');
+    }
+    if (!isSafeServerKey(serverKey)) throw new Error(`getServerPaths: invalid server key ${JSON.stringify(serverKey)}`);
+    const serverDir   = path.join(dataDir, 'servers', serverKey);
+    const subsPath    = path.join(serverDir, 'subreddits.json');
+    const queuePath   = path.join(serverDir, 'queue.json');
+    const cooldownPath= path.join(serverDir, 'cooldowns.json');
+    const serverCfgPath = path.join(serverDir, 'server.json');
+    const postedPath  = path.join(serverDir, 'posted.json');
+    const mediaDir    = path.join(serverDir, 'media'); // image/gallery files, with either backend
+    return { serverDir, subsPath, queuePath, cooldownPath, serverCfgPath, postedPath, mediaDir };
+}
+
+export function serverExists(dataDir, serverKey) {
+    return isSafeServerKey(serverKey) && fs.existsSync(getServerPaths(dataDir, serverKey).serverDir);
+}
+
+export async function ensureServerScaffold(dataDir, serverKey, name = serverKey) {
+    const { serverDir, subsPath, queuePath, cooldownPath, serverCfgPath, postedPath } = getServerPaths(dataDir, serverKey);
+    updateServers(dataDir, list => {
+        if (list.some(s => (s.key || s.id) === serverKey)) return false;
+        list.push({ key: serverKey, name });
+    });
+    fs.mkdirSync(serverDir, { recursive: true });
+    if (!fs.existsSync(subsPath)) writeJSON(subsPath, []);
+    if (!fs.existsSync(queuePath)) writeJSON(queuePath, []);
+    if (!fs.existsSync(cooldownPath)) writeJSON(cooldownPath, {});
+    if (!fs.existsSync(serverCfgPath)) writeJSON(serverCfgPath, defaultServerConfig(serverKey, name));
+    if (!fs.existsSync(postedPath)) writeJSON(postedPath, []);
+}
+
+export function readServerConfig(dataDir, serverKey) {
+    const { serverCfgPath } = getServerPaths(dataDir, serverKey);
+    return withConfigDefaults(serverKey, readJSON(serverCfgPath, defaultServerConfig(serverKey)));
+}
+export function writeServerConfig(dataDir, serverKey, cfg) {
+    const { serverCfgPath } = getServerPaths(dataDir, serverKey);
+    writeJSON(serverCfgPath, cfg);
+}
+// Locked read-modify-write of server.json; the mutator edits the (defaults-merged) config in place.
+export function updateServerConfig(dataDir, serverKey, mutator) {
+    const { serverCfgPath } = getServerPaths(dataDir, serverKey);
+    return updateJSON(serverCfgPath, defaultServerConfig(serverKey), cfg => {
+        const merged = withConfigDefaults(serverKey, cfg);
+        mutator(merged);
+        return merged;
+    });
+}
+export function updateServerLastAdAt(dataDir, serverKey, whenMs = Date.now()) {
+    updateServerConfig(dataDir, serverKey, cfg => { cfg.lastAdAt = whenMs; });
+}
+
+// Also drops the server's schedules, like the SQLite backend.
+export function deleteServer(dataDir, serverKey) {
+    const { serverDir } = getServerPaths(dataDir, serverKey);
+    updateServers(dataDir, list => list.filter(s => normalizeServerEntry(s).key !== serverKey));
+    updateSchedules(dataDir, list => list.filter(s => s.serverKey !== serverKey));
+    fs.rmSync(serverDir, { recursive: true, force: true });
+}
+
+// ---------- Reddit accounts (registry; see lib/accounts.js) ----------
+export function accountsPath(dataDir) {
+    return path.join(dataDir, 'accounts.json');
+}
+export function listAccounts(dataDir) {
+    return readJSON(accountsPath(dataDir), []);
+}
+export function getAccount(dataDir, key) {
+    return listAccounts(dataDir).find(a => a.key === key) || null;
+}
+export function upsertAccount(dataDir, account) {
+    updateJSON(accountsPath(dataDir), [], list => {
+        const ix = list.findIndex(a => a.key === account.key);
+        if (ix >= 0) list[ix] = account; else list.push(account);
+    });
+}
+export function deleteAccount(dataDir, key) {
+    updateJSON(accountsPath(dataDir), [], list => list.filter(a => a.key !== key));
+}
+
+// ---------- Subreddit list (live) ----------
+export function listSubreddits(dataDir, serverKey) {
+    const { subsPath } = getServerPaths(dataDir, serverKey);
+    return readJSON(subsPath, []);
+}
+export function upsertSubreddit(dataDir, serverKey, entry) {
+    const { subsPath } = getServerPaths(dataDir, serverKey);
+    updateJSON(subsPath, [], list => {
+        const key = entryKey(entry);
+        const ix = list.findIndex(e => entryKey(e) === key);
+        if (ix >= 0) list[ix] = entry; else list.push(entry);
+    });
+}
+// Locked edit of one entry; returns the updated entry or null when the key is unknown.
+export function updateSubreddit(dataDir, serverKey, key, mutator) {
+    const { subsPath } = getServerPaths(dataDir, serverKey);
+    let entry = null;
+    updateJSON(subsPath, [], list => {
+        entry = list.find(e => entryKey(e) === key) || null;
+        if (!entry) return false;
+        mutator(entry);
+    });
+    return entry;
+}
+export function deleteSubreddit(dataDir, serverKey, keyOrSubreddit) {
+    const { subsPath } = getServerPaths(dataDir, serverKey);
+    updateJSON(subsPath, [], list => list.filter(e => entryKey(e) !== keyOrSubreddit));
+}
+
+// ---------- Cooldowns (subreddit key -> epoch ms of last post) ----------
+export function readCooldowns(dataDir, serverKey) {
+    const { cooldownPath } = getServerPaths(dataDir, serverKey);
+    return readJSON(cooldownPath, {});
+}
+export function setCooldown(dataDir, serverKey, key, whenMs = Date.now()) {
+    const { cooldownPath } = getServerPaths(dataDir, serverKey);
+    updateJSON(cooldownPath, {}, cooldowns => { cooldowns[key] = whenMs; });
+}
+
+// ---------- Queue (staging/templates) ----------
+export function listQueue(dataDir, serverKey) {
+    const { queuePath } = getServerPaths(dataDir, serverKey);
+    return readJSON(queuePath, []);
+}
+export function enqueueTemplate(dataDir, serverKey, entry) {
+    const { queuePath } = getServerPaths(dataDir, serverKey);
+    updateJSON(queuePath, [], list => {
+        const key = entryKey(entry);
+        const ix = list.findIndex(e => entryKey(e) === key);
+        if (ix >= 0) list[ix] = entry; else list.push(entry);
+    });
+}
+export function dequeueTemplate(dataDir, serverKey, keyOrSubreddit) {
+    const { queuePath } = getServerPaths(dataDir, serverKey);
+    let item = null;
+    updateJSON(queuePath, [], list => {
+        item = list.find(e => entryKey(e) === keyOrSubreddit) || null;
+        return list.filter(e => entryKey(e) !== keyOrSubreddit);
+    });
+    return item;
+}
+
+// ---------- Posted-tracking (for removal monitor) ----------
+export function getPostedPath(dataDir, serverKey) {
+    const { postedPath } = getServerPaths(dataDir, serverKey);
+    return postedPath;
+}
+export function appendPostedRecord(dataDir, serverKey, record) {
+    const { postedPath } = getServerPaths(dataDir, serverKey);
+    updateJSON(postedPath, [], list => { list.push(record); });
+}
+export function listPostedRecords(dataDir, serverKey, { status } = {}) {
+    const { postedPath } = getServerPaths(dataDir, serverKey);
+    const list = readJSON(postedPath, []);
+    return status ? list.filter(r => r.status === status) : list;
+}
+export function writePostedRecords(dataDir, serverKey, list) {
+    const { postedPath } = getServerPaths(dataDir, serverKey);
+    writeJSON(postedPath, list);
+}
+// Locked edit of the current records; use this instead of writing back a list read earlier,
+// which would drop records appended in the meantime.
+export function updatePostedRecords(dataDir, serverKey, mutator) {
+    const { postedPath } = getServerPaths(dataDir, serverKey);
+    return updateJSON(postedPath, [], mutator);
+}
+
+// ---------- Global schedules (auto-post after throttle / cooldown, recurring; see common.js) ----------
+export function schedulesPath(dataDir) {
+    return path.join(dataDir, 'schedules.json');
+}
+export function listSchedules(dataDir) {
+    return readJSON(schedulesPath(dataDir), []);
+}
+export function getSchedule(dataDir, id) {
+    return listSchedules(dataDir).find(s => s.id === id) || null;
+}
+export function addSchedule(dataDir, spec) {
+    const entry = newScheduleEntry(spec);
+    updateSchedules(dataDir, list => { list.push(entry); });
+    return entry;
+}
+// One pending entry per server+subreddit: keep the earlier time (a run that fires early just re-schedules).
+export function scheduleSubreddit(dataDir, { serverKey, subreddit, whenMs, reason }) {
+    return withFileLock(schedulesPath(dataDir), () => {
+        let existing = null;
+        updateSchedules(dataDir, list => {
+            existing = findSubredditSchedule(list, serverKey, subreddit);
+            if (!existing || whenMs >= existing.whenMs) return false;
+            existing.whenMs = whenMs;
+            existing.reason = reason;
+        });
+        return existing || addSchedule(dataDir, { serverKey, whenMs, reason, subreddits: [subreddit] });
+    });
+}
+// Shallow patch; returns the updated entry or null when the id is unknown.
+export function updateSchedule(dataDir, id, patch) {
+    let entry = null;
+    updateSchedules(dataDir, list => {
+        entry = list.find(s => s.id === id) || null;
+        if (!entry) return false;
+        Object.assign(entry, patch);
+    });
+    return entry;
+}
+export function removeSchedule(dataDir, id) {
+    updateSchedules(dataDir, list => list.filter(s => s.id !== id));
+}
+// Drop done/failed entries that finished before cutoffMs.
+export function pruneFinishedSchedules(dataDir, cutoffMs) {
+    updateSchedules(dataDir, list => {
+        const next = list.filter(s => !isFinishedBefore(s, cutoffMs));
+        return next.length === list.length ? false : next;
+    });
+}
+function updateSchedules(dataDir, mutator) {
+    return updateJSON(schedulesPath(dataDir), [], mutator);
+}
+
+// ---------- Schedule history (one record per fired entry, newest last) ----------
+export function scheduleHistoryPath(dataDir) {
+    return path.join(dataDir, 'schedule-history.json');
+}
+export function appendScheduleHistory(dataDir, record) {
+    updateJSON(scheduleHistoryPath(dataDir), [], list => {
+        list.push(record);
+        return list.slice(-SCHEDULE_HISTORY_MAX);
+    });
+}
+export function listScheduleHistory(dataDir, { serverKey, scheduleId, limit = 20 } = {}) {
+    return readJSON(scheduleHistoryPath(dataDir), [])
+    .filter(h => (!serverKey || h.serverKey === serverKey) && (!scheduleId || h.scheduleId === scheduleId))
+    .slice(-limit)
+    .reverse();
+}
+
+// ---------- Session locks (see store.js) ----------
+export function sessionLocksPath(dataDir) {
+    return path.join(dataDir, 'sessions.json');
+}
+export function listSessionLocks(dataDir) {
+    const now = Date.now();
+    return readJSON(sessionLocksPath(dataDir), []).filter(l => l.leaseUntil > now);
+}
+export function acquireSessionLock(dataDir, { serverKey, account = null, leaseMs }) {
+    let result;
+    updateJSON(sessionLocksPath(dataDir), [], list => {
+        const now = Date.now();
+        const live = list.filter(l => l.leaseUntil > now);
+        const conflict = live.find(l => locksConflict(l, { serverKey, account }));
+        if (conflict) {
+            result = { conflict };
+            return live.length === list.length ? false : live;
+        }
+        const lock = newSessionLock({ serverKey, account, leaseMs });
+        result = { lock, expired: list.filter(l => l.leaseUntil <= now) };
+        return [...live, lock];
+    });
+    return result;
+}
+export function renewSessionLock(dataDir, sessionId, leaseMs) {
+    let held = false;
+    updateJSON(sessionLocksPath(dataDir), [], list => {
+        const lock = list.find(l => l.sessionId === sessionId && l.leaseUntil > Date.now());
+        if (!lock) return false;
+        lock.leaseUntil = Date.now() + leaseMs;
+        held = true;
+    });
+    return held;
+}
+export function releaseSessionLock(dataDir, sessionId) {
+    updateJSON(sessionLocksPath(dataDir), [], list => list.filter(l => l.sessionId !== sessionId));
+}
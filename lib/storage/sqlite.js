@@ -0,0 +1,436 @@
+import fs from 'fs';
+import path from 'path';
+import { DatabaseSync } from 'node:sqlite';
+import {
+    SCHEDULE_HISTORY_MAX, isSafeServerKey, normalizeServerEntry, defaultServerConfig, withConfigDefaults, entryKey,
+    newScheduleEntry, findSubredditSchedule, isFinishedBefore, newSessionLock, locksConflict
+} from './common.js';
+
+// SQLite storage backend: everything in <data>/cryer.db through node:sqlite (Node >= 22.5).
+// Rows keep the JSON documents the file backend stores, plus the columns we filter or sort on.
+// Writes that read first run in BEGIN IMMEDIATE transactions, which also serialize other processes
+// (cryerctl) on the same database.
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS servers (
+    key TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    config TEXT
+);
+CREATE TABLE IF NOT EXISTS accounts (
+    key TEXT PRIMARY KEY,
+    account TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS subreddits (
+    server_key TEXT NOT NULL,
+    key TEXT NOT NULL,
+    entry TEXT NOT NULL,
+    PRIMARY KEY (server_key, key)
+);
+CREATE TABLE IF NOT EXISTS queue (
+    server_key TEXT NOT NULL,
+    key TEXT NOT NULL,
+    entry TEXT NOT NULL,
+    PRIMARY KEY (server_key, key)
+);
+CREATE TABLE IF NOT EXISTS cooldowns (
+    server_key TEXT NOT NULL,
+    key TEXT NOT NULL,
+    at INTEGER NOT NULL,
+    PRIMARY KEY (server_key, key)
+);
+CREATE TABLE IF NOT EXISTS posted (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    server_key TEXT NOT NULL,
+    id TEXT,
+    subreddit TEXT,
+    status TEXT,
+    created_utc INTEGER,
+    record TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS posted_server_status ON posted (server_key, status);
+CREATE INDEX IF NOT EXISTS posted_id ON posted (id);
+CREATE TABLE IF NOT EXISTS schedules (
+    id TEXT PRIMARY KEY,
+    server_key TEXT NOT NULL,
+    when_ms INTEGER,
+    entry TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS schedules_when ON schedules (when_ms);
+CREATE TABLE IF NOT EXISTS schedule_history (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id TEXT,
+    server_key TEXT,
+    record TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS schedule_history_server ON schedule_history (server_key, seq);
+CREATE TABLE IF NOT EXISTS session_locks (
+    session_id TEXT PRIMARY KEY,
+    lease_until INTEGER NOT NULL,
+    lock TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS imports (
+    source TEXT PRIMARY KEY,
+    at INTEGER NOT NULL,
+    counts TEXT NOT NULL
+);
+`;
+
+const databases = new Map();
+let busyTimeoutMs = 10 * 1000; // how long a write waits for another process's transaction
+
+export function setLockWaitMs(ms) {
+    busyTimeoutMs = ms;
+    for (const db of databases.values()) db.exec(`PRAGMA busy_timeout = ${Math.floor(ms)};`);
+}
+
+export function databasePath(dataDir) {
+    return path.join(dataDir, 'cryer.db');
+}
+
+export function openDatabase(dataDir) {
+    const file = databasePath(dataDir);
+    let db = databases.get(file);
+    if (db) return db;
+    fs.mkdirSync(dataDir, { recursive: true });
+    db = new DatabaseSync(file);
+    db.exec(`PRAGMA journal_mode = WAL; PRAGMA busy_timeout = ${Math.floor(busyTimeoutMs)};`);
+    db.exec(SCHEMA);
+    databases.set(file, db);
+    return db;
+}
+
+// Run fn inside a write transaction; nested calls join the outer one.
+const inTransaction = new WeakSet();
+export function transaction(dataDir, fn) {
+    const db = openDatabase(dataDir);
+    if (inTransaction.has(db)) return fn(db);
+    db.exec('BEGIN IMMEDIATE');
+    inTransaction.add(db);
+    try {
+        const out = fn(db);
+        db.exec('COMMIT');
+        return out;
+    } catch (e) {
+        db.exec('ROLLBACK');
+        throw e;
+    } finally {
+        inTransaction.delete(db);
+    }
+}
+
+const parse = (col) => (row) => JSON.parse(row[col]);
+
+// ---------- Server registry ----------
+export function listServers(dataDir) {
+    return openDatabase(dataDir).prepare('SELECT key, name FROM servers ORDER BY rowid').all().map(normalizeServerEntry);
+}
+
+// Replace the registry list; configs and data of servers that stay are kept.
+export function saveServers(dataDir, list) {
+    transaction(dataDir, db => {
+        const keep = list.map(normalizeServerEntry);
+        const keys = new Set(keep.map(s => s.key));
+        for (const { key } of db.prepare('SELECT key FROM servers').all()) {
+            if (!keys.has(key)) db.prepare('DELETE FROM servers WHERE key = ?').run(key);
+        }
+        const upsert = db.prepare('INSERT INTO servers (key, name) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET name = excluded.name');
+        for (const s of keep) upsert.run(s.key, s.name);
+    });
+}
+
+export function serverExists(dataDir, serverKey) {
+    return !!openDatabase(dataDir).prepare('SELECT 1 FROM servers WHERE key = ?').get(serverKey);
+}
+
+export async function ensureServerScaffold(dataDir, serverKey, name = serverKey) {
+    // media files still live under <data>/servers/<key>
+    if (!isSafeServerKey(serverKey)) throw new Error(`ensureServerScaffold: invalid server key ${JSON.stringify(serverKey)}`);
+    openDatabase(dataDir).prepare('INSERT OR IGNORE INTO servers (key, name, config) VALUES (?, ?, ?)')
+    .run(serverKey, name, JSON.stringify(defaultServerConfig(serverKey, name)));
+}
+
+export function readServerConfig(dataDir, serverKey) {
+    const row = openDatabase(dataDir).prepare('SELECT config FROM servers WHERE key = ?').get(serverKey);
+    return withConfigDefaults(serverKey, row?.config ? JSON.parse(row.config) : defaultServerConfig(serverKey));
+}
+export function writeServerConfig(dataDir, serverKey, cfg) {
+    openDatabase(dataDir).prepare(`INSERT INTO servers (key, name, config) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET config = excluded.config`)
+    .run(serverKey, cfg?.name || serverKey, JSON.stringify(cfg));
+}
+export function updateServerConfig(dataDir, serverKey, mutator) {
+    return transaction(dataDir, () => {
+        const cfg = readServerConfig(dataDir, serverKey);
+        mutator(cfg);
+        writeServerConfig(dataDir, serverKey, cfg);
+        return cfg;
+    });
+}
+export function updateServerLastAdAt(dataDir, serverKey, whenMs = Date.now()) {
+    updateServerConfig(dataDir, serverKey, cfg => { cfg.lastAdAt = whenMs; });
+}
+
+// Also drops the server's schedules, like the file backend.
+export function deleteServer(dataDir, serverKey) {
+    transaction(dataDir, db => {
+        for (const table of ['subreddits', 'queue', 'cooldowns', 'posted', 'schedules']) {
+            db.prepare(`DELETE FROM ${table} WHERE server_key = ?`).run(serverKey);
+        }
+        db.prepare('DELETE FROM servers WHERE key = ?').run(serverKey);
+    });
+}
+
+// ---------- Reddit accounts ----------
+export function listAccounts(dataDir) {
+    return openDatabase(dataDir).prepare('SELECT account FROM accounts ORDER BY rowid').all().map(parse('account'));
+}
+export function getAccount(dataDir, key) {
+    const row = openDatabase(dataDir).prepare('SELECT account FROM accounts WHERE key = ?').get(key);
+    return row ? JSON.parse(row.account) : null;
+}
+export function upsertAccount(dataDir, account) {
+    openDatabase(dataDir).prepare(`INSERT INTO accounts (key, account) VALUES (?, ?)
+        ON CONFLICT (key) DO UPDATE SET account = excluded.account`)
+    .run(account.key, JSON.stringify(account));
+}
+export function deleteAccount(dataDir, key) {
+    openDatabase(dataDir).prepare('DELETE FROM accounts WHERE key = ?').run(key);
+}
+
+// ---------- Subreddit list and queue (keyed entries, insertion order) ----------
+function listEntries(dataDir, table, serverKey) {
+    return openDatabase(dataDir).prepare(`SELECT entry FROM ${table} WHERE server_key = ? ORDER BY rowid`)
+    .all(serverKey).map(parse('entry'));
+}
+function upsertEntry(dataDir, table, serverKey, entry) {
+    openDatabase(dataDir).prepare(`INSERT INTO ${table} (server_key, key, entry) VALUES (?, ?, ?)
+        ON CONFLICT (server_key, key) DO UPDATE SET entry = excluded.entry`)
+    .run(serverKey, entryKey(entry), JSON.stringify(entry));
+}
+function deleteEntry(dataDir, table, serverKey, key) {
+    openDatabase(dataDir).prepare(`DELETE FROM ${table} WHERE server_key = ? AND key = ?`).run(serverKey, key);
+}
+
+export function listSubreddits(dataDir, serverKey) {
+    return listEntries(dataDir, 'subreddits', serverKey);
+}
+export function upsertSubreddit(dataDir, serverKey, entry) {
+    upsertEntry(dataDir, 'subreddits', serverKey, entry);
+}
+export function updateSubreddit(dataDir, serverKey, key, mutator) {
+    return transaction(dataDir, db => {
+        const row = db.prepare('SELECT entry FROM subreddits WHERE server_key = ? AND key = ?').get(serverKey, key);
+        if (!row) return null;
+        const entry = JSON.parse(row.entry);
+        mutator(entry);
+        upsertEntry(dataDir, 'subreddits', serverKey, entry);
+        return entry;
+    });
+}
+export function deleteSubreddit(dataDir, serverKey, keyOrSubreddit) {
+    deleteEntry(dataDir, 'subreddits', serverKey, keyOrSubreddit);
+}
+
+export function listQueue(dataDir, serverKey) {
+    return listEntries(dataDir, 'queue', serverKey);
+}
+export function enqueueTemplate(dataDir, serverKey, entry) {
+    upsertEntry(dataDir, 'queue', serverKey, entry);
+}
+export function dequeueTemplate(dataDir, serverKey, keyOrSubreddit) {
+    return transaction(dataDir, db => {
+        const row = db.prepare('SELECT entry FROM queue WHERE server_key = ? AND key = ?').get(serverKey, keyOrSubreddit);
+        deleteEntry(dataDir, 'queue', serverKey, keyOrSubreddit);
+        return row ? JSON.parse(row.entry) : null;
+    });
+}
+
+// ---------- Cooldowns ----------
+export function readCooldowns(dataDir, serverKey) {
+    const rows = openDatabase(dataDir).prepare('SELECT key, at FROM cooldowns WHERE server_key = ?').all(serverKey);
+    return Object.fromEntries(rows.map(r => [r.key, r.at]));
+}
+export function setCooldown(dataDir, serverKey, key, whenMs = Date.now()) {
+    openDatabase(dataDir).prepare(`INSERT INTO cooldowns (server_key, key, at) VALUES (?, ?, ?)
+        ON CONFLICT (server_key, key) DO UPDATE SET at = excluded.at`)
+    .run(serverKey, key, whenMs);
+}
+
+// ---------- Posted-tracking ----------
+function insertPosted(db, serverKey, record) {
+    db.prepare('INSERT INTO posted (server_key, id, subreddit, status, created_utc, record) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(serverKey, record.id ?? null, record.subreddit ?? null, record.status ?? null, record.createdUtc ?? null, JSON.stringify(record));
+}
+export function appendPostedRecord(dataDir, serverKey, record) {
+    insertPosted(openDatabase(dataDir), serverKey, record);
+}
+export function listPostedRecords(dataDir, serverKey, { status } = {}) {
+    const db = openDatabase(dataDir);
+    const rows = status
+        ? db.prepare('SELECT record FROM posted WHERE server_key = ? AND status = ? ORDER BY seq').all(serverKey, status)
+        : db.prepare('SELECT record FROM posted WHERE server_key = ? ORDER BY seq').all(serverKey);
+    return rows.map(parse('record'));
+}
+export function writePostedRecords(dataDir, serverKey, list) {
+    transaction(dataDir, db => {
+        db.prepare('DELETE FROM posted WHERE server_key = ?').run(serverKey);
+        for (const record of list) insertPosted(db, serverKey, record);
+    });
+}
+// Same contract as the file backend: mutate in place (only changed rows are written) or return a
+// replacement list; false leaves the records untouched.
+export function updatePostedRecords(dataDir, serverKey, mutator) {
+    return transaction(dataDir, db => {
+        const rows = db.prepare('SELECT seq, record FROM posted WHERE server_key = ? ORDER BY seq').all(serverKey);
+        const list = rows.map(parse('record'));
+        const out = mutator(list);
+        if (out === false) return list;
+        if (out !== undefined && out !== list) {
+            writePostedRecords(dataDir, serverKey, out);
+            return out;
+        }
+        const update = db.prepare('UPDATE posted SET id = ?, subreddit = ?, status = ?, created_utc = ?, record = ? WHERE seq = ?');
+        list.forEach((record, i) => {
+            const json = JSON.stringify(record);
+            if (i >= rows.length) insertPosted(db, serverKey, record);
+            else if (json !== rows[i].record) {
+                update.run(record.id ?? null, record.subreddit ?? null, record.status ?? null, record.createdUtc ?? null, json, rows[i].seq);
+            }
+        });
+        return list;
+    });
+}
+
+// ---------- Global schedules ----------
+function writeSchedule(db, entry) {
+    db.prepare(`INSERT INTO schedules (id, server_key, when_ms, entry) VALUES (?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET server_key = excluded.server_key, when_ms = excluded.when_ms, entry = excluded.entry`)
+    .run(entry.id, entry.serverKey, entry.whenMs ?? null, JSON.stringify(entry));
+}
+export function listSchedules(dataDir) {
+    return openDatabase(dataDir).prepare('SELECT entry FROM schedules ORDER BY rowid').all().map(parse('entry'));
+}
+export function getSchedule(dataDir, id) {
+    const row = openDatabase(dataDir).prepare('SELECT entry FROM schedules WHERE id = ?').get(id);
+    return row ? JSON.parse(row.entry) : null;
+}
+export function addSchedule(dataDir, spec) {
+    const entry = newScheduleEntry(spec);
+    writeSchedule(openDatabase(dataDir), entry);
+    return entry;
+}
+export function scheduleSubreddit(dataDir, { serverKey, subreddit, whenMs, reason }) {
+    return transaction(dataDir, db => {
+        const existing = findSubredditSchedule(listSchedules(dataDir), serverKey, subreddit);
+        if (!existing) return addSchedule(dataDir, { serverKey, whenMs, reason, subreddits: [subreddit] });
+        if (whenMs < existing.whenMs) {
+            existing.whenMs = whenMs;
+            existing.reason = reason;
+            writeSchedule(db, existing);
+        }
+        return existing;
+    });
+}
+export function updateSchedule(dataDir, id, patch) {
+    return transaction(dataDir, db => {
+        const entry = getSchedule(dataDir, id);
+        if (!entry) return null;
+        Object.assign(entry, patch);
+        // round-trip so cleared (undefined) fields read back the way the file backend stores them
+        writeSchedule(db, JSON.parse(JSON.stringify(entry)));
+        return entry;
+    });
+}
+export function removeSchedule(dataDir, id) {
+    openDatabase(dataDir).prepare('DELETE FROM schedules WHERE id = ?').run(id);
+}
+export function pruneFinishedSchedules(dataDir, cutoffMs) {
+    transaction(dataDir, db => {
+        for (const s of listSchedules(dataDir)) {
+            if (isFinishedBefore(s, cutoffMs)) db.prepare('DELETE FROM schedules WHERE id = ?').run(s.id);
+        }
+    });
+}
+
+// ---------- Schedule history ----------
+export function appendScheduleHistory(dataDir, record) {
+    transaction(dataDir, db => {
+        const { lastInsertRowid } = db.prepare('INSERT INTO schedule_history (schedule_id, server_key, record) VALUES (?, ?, ?)')
+        .run(record.scheduleId ?? null, record.serverKey ?? null, JSON.stringify(record));
+        db.prepare('DELETE FROM schedule_history WHERE seq <= ?').run(Number(lastInsertRowid) - SCHEDULE_HISTORY_MAX);
+    });
+}
+export function listScheduleHistory(dataDir, { serverKey, scheduleId, limit = 20 } = {}) {
+    const where = [];
+    const args = [];
+    if (serverKey) { where.push('server_key = ?'); args.push(serverKey); }
+    if (scheduleId) { where.push('schedule_id = ?'); args.push(scheduleId); }
+    const sql = `SELECT record FROM schedule_history ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY seq DESC LIMIT ?`;
+    return openDatabase(dataDir).prepare(sql).all(...args, limit).map(parse('record'));
+}
+
+// ---------- Session locks ----------
+export function listSessionLocks(dataDir) {
+    return openDatabase(dataDir).prepare('SELECT lock FROM session_locks WHERE lease_until > ? ORDER BY rowid')
+    .all(Date.now()).map(parse('lock'));
+}
+export function acquireSessionLock(dataDir, { serverKey, account = null, leaseMs }) {
+    return transaction(dataDir, db => {
+        const now = Date.now();
+        const expired = db.prepare('SELECT lock FROM session_locks WHERE lease_until <= ?').all(now).map(parse('lock'));
+        db.prepare('DELETE FROM session_locks WHERE lease_until <= ?').run(now);
+        const conflict = listSessionLocks(dataDir).find(l => locksConflict(l, { serverKey, account }));
+        if (conflict) return { conflict };
+        const lock = newSessionLock({ serverKey, account, leaseMs });
+        db.prepare('INSERT INTO session_locks (session_id, lease_until, lock) VALUES (?, ?, ?)')
+        .run(lock.sessionId, lock.leaseUntil, JSON.stringify(lock));
+        return { lock, expired };
+    });
+}
+export function renewSessionLock(dataDir, sessionId, leaseMs) {
+    return transaction(dataDir, db => {
+        const row = db.prepare('SELECT lock FROM session_locks WHERE session_id = ? AND lease_until > ?').get(sessionId, Date.now());
+        if (!row) return false;
+        const lock = { ...JSON.parse(row.lock), leaseUntil: Date.now() + leaseMs };
+        db.prepare('UPDATE session_locks SET lease_until = ?, lock = ? WHERE session_id = ?')
+        .run(lock.leaseUntil, JSON.stringify(lock), sessionId);
+        return true;
+    });
+}
+export function releaseSessionLock(dataDir, sessionId) {
+    openDatabase(dataDir).prepare('DELETE FROM session_locks WHERE session_id = ?').run(sessionId);
+}
+
+// ---------- Import from a JSON data dir (cryerctl migrate) ----------
+// `json` is the file backend module. Runs in one transaction and is recorded per source dir:
+// importing the same dir again changes nothing and returns null. Otherwise returns row counts.
+export function importFromJson(dataDir, json, jsonDir) {
+    const source = path.resolve(jsonDir);
+    return transaction(dataDir, db => {
+        if (db.prepare('SELECT 1 FROM imports WHERE source = ?').get(source)) return null;
+        const counts = { accounts: 0, servers: 0, subreddits: 0, queue: 0, cooldowns: 0, posted: 0, schedules: 0, history: 0 };
+        for (const a of json.listAccounts(jsonDir)) { upsertAccount(dataDir, a); counts.accounts += 1; }
+        for (const s of json.listServers(jsonDir)) {
+            db.prepare(`INSERT INTO servers (key, name, config) VALUES (?, ?, ?)
+                ON CONFLICT (key) DO UPDATE SET name = excluded.name, config = excluded.config`)
+            .run(s.key, s.name, JSON.stringify(json.readServerConfig(jsonDir, s.key)));
+            counts.servers += 1;
+            for (const e of json.listSubreddits(jsonDir, s.key)) { upsertSubreddit(dataDir, s.key, e); counts.subreddits += 1; }
+            for (const e of json.listQueue(jsonDir, s.key)) { enqueueTemplate(dataDir, s.key, e); counts.queue += 1; }
+            for (const [k, at] of Object.entries(json.readCooldowns(jsonDir, s.key))) { setCooldown(dataDir, s.key, k, at); counts.cooldowns += 1; }
+            const posted = json.listPostedRecords(jsonDir, s.key);
+            writePostedRecords(dataDir, s.key, posted);
+            counts.posted += posted.length;
+        }
+        for (const e of json.listSchedules(jsonDir)) { writeSchedule(db, e); counts.schedules += 1; }
+        const seen = db.prepare('SELECT 1 FROM schedule_history WHERE record = ?');
+        for (const h of json.listScheduleHistory(jsonDir, { limit: SCHEDULE_HISTORY_MAX }).reverse()) {
+            if (seen.get(JSON.stringify(h))) continue;
+            appendScheduleHistory(dataDir, h);
+            counts.history += 1;
+        }
+        db.prepare('INSERT INTO imports (source, at, counts) VALUES (?, ?, ?)').run(source, Date.now(), JSON.stringify(counts));
+        return counts;
+    });
+}
@@ -1,149 +1,71 @@
-import fs from 'fs';
-import path from 'path';
-import crypto from 'crypto';
+import * as json from './storage/json.js';
 
-// ---------- JSON helpers ----------
-export function readJSON(file, fallback) {
-    try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
-    catch { return fallback; }
-}
-export function writeJSON(file, obj) {
-    fs.mkdirSync(path.dirname(file), { recursive: true });
-    fs.writeFileSync(file, JSON.stringify(obj, null, 2));
-}
-
-export function slugifyName(name) {
-    return String(name || '')
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '') || 'server';
-}
-
-// ---------- Server registry ----------
-export function serversIndexPath(dataDir) {
-    return path.join(dataDir, 'servers.json');
-}
+// Storage facade. CRYER_STORAGE picks the backend; both export the same functions, data dir first.
+//   json    (default) one JSON file per list under the data dir, see storage/json.js
+//   sqlite  <data>/cryer.db through node:sqlite (Node >= 22.5), see storage/sqlite.js;
+//           import an existing JSON data dir with `cryerctl migrate`
+export const STORAGE_BACKEND = (process.env.CRYER_STORAGE || 'json').trim().toLowerCase();
 
-// Normalize legacy shapes ({id, name}) to ({key, name})
-export function listServers(dataDir) {
-    const raw = readJSON(serversIndexPath(dataDir), []);
-    return raw.map(s => {
-        const key = s.key || s.id || slugifyName(s.name || '');
-        const name = s.name || s.id || s.key || key;
-        return { key, name };
-    });
-}
-
-export function saveServers(dataDir, list) {
-    writeJSON(serversIndexPath(dataDir), list);
-}
-
-export function getServerPaths(dataDir, serverKey) {
-    if (!serverKey || typeof serverKey !== 'string') {
-        throw new Error('getServerPaths: serverKey must be a non-empty string');
+export async function loadStorageBackend(name) {
+    if (name === 'json') return json;
+    if (name === 'sqlite') {
+        try {
+            return await import('./storage/sqlite.js');
+        } catch (e) {
+            if (e.code === 'ERR_UNKNOWN_BUILTIN_MODULE') throw new Error('CRYER_STORAGE=sqlite needs Node 22.5 or newer (node:sqlite)');
+            throw e;
+        }
     }
-    const serverDir   = path.join(dataDir, 'servers', serverKey);
-    const subsPath    = path.join(serverDir, 'subreddits.json');
-    const queuePath   = path.join(serverDir, 'queue.json');
-    const cooldownPath= path.join(serverDir, 'cooldowns.json');
-    const serverCfgPath = path.join(serverDir, 'server.json');
-    const postedPath  = path.join(serverDir, 'posted.json');
-    return { serverDir, subsPath, queuePath, cooldownPath, serverCfgPath, postedPath };
+    throw new Error(`unknown CRYER_STORAGE "${name}" (expected json or sqlite)`);
 }
 
-export function defaultServerConfig(serverKey, name = serverKey) {
-    return {
-        key: serverKey,
-        name,
-        lastAdAt: 0, // epoch ms of last non-dry successful session with at least one post
-        defaults: {
-            title: "",
-            invite: "",
-            body: ""
-        }
-    };
-}
+const backend = await loadStorageBackend(STORAGE_BACKEND);
 
-export async function ensureServerScaffold(dataDir, serverKey, name = serverKey) {
-    const list = listServers(dataDir);
-    if (!list.find(s => s.key === serverKey)) {
-        list.push({ key: serverKey, name });
-        saveServers(dataDir, list);
-    }
-    const { serverDir, subsPath, queuePath, cooldownPath, serverCfgPath, postedPath } = getServerPaths(dataDir, serverKey);
-    fs.mkdirSync(serverDir, { recursive: true });
-    if (!fs.existsSync(subsPath)) writeJSON(subsPath, []);
-    if (!fs.existsSync(queuePath)) writeJSON(queuePath, []);
-    if (!fs.existsSync(cooldownPath)) writeJSON(cooldownPath, {});
-    if (!fs.existsSync(serverCfgPath)) writeJSON(serverCfgPath, defaultServerConfig(serverKey, name));
-    if (!fs.existsSync(postedPath)) writeJSON(postedPath, []);
+// How long a store call may block waiting for another process's lock or transaction.
+export function setLockWaitMs(ms) {
+    json.setLockWaitMs(ms);
+    if (backend !== json) backend.setLockWaitMs(ms);
 }
 
-export function readServerConfig(dataDir, serverKey) {
-    const { serverCfgPath } = getServerPaths(dataDir, serverKey);
-    // Merge in defaults to avoid missing keys from older files
-    const cfg = readJSON(serverCfgPath, defaultServerConfig(serverKey));
-    return { ...defaultServerConfig(serverKey, cfg.name), ...cfg };
-}
-export function writeServerConfig(dataDir, serverKey, cfg) {
-    const { serverCfgPath } = getServerPaths(dataDir, serverKey);
-    writeJSON(serverCfgPath, cfg);
-}
-export function updateServerLastAdAt(dataDir, serverKey, whenMs = Date.now()) {
-    const cfg = readServerConfig(dataDir, serverKey);
-    cfg.lastAdAt = whenMs;
-    writeServerConfig(dataDir, serverKey, cfg);
-}
+export { slugifyName, isSafeServerKey, defaultServerConfig, scheduleState } from './storage/common.js';
+// File helpers and paths of the JSON layout (also used by the JSON backend itself).
+export {
+    readJSON, writeJSON, updateJSON, withFileLock,
+    serversIndexPath, accountsPath, getServerPaths, getPostedPath, schedulesPath, scheduleHistoryPath, sessionLocksPath
+} from './storage/json.js';
 
-export function deleteServer(dataDir, serverKey) {
-    const list = listServers(dataDir).filter(s => s.key !== serverKey);
-    saveServers(dataDir, list);
-    const { serverDir } = getServerPaths(dataDir, serverKey);
-    fs.rmSync(serverDir, { recursive: true, force: true });
-}
+// ---------- Server registry ----------
+export const listServers = (...a) => backend.listServers(...a);
+export const saveServers = (...a) => backend.saveServers(...a);
+export const serverExists = (...a) => backend.serverExists(...a);
+export const ensureServerScaffold = (...a) => backend.ensureServerScaffold(...a);
+export const readServerConfig = (...a) => backend.readServerConfig(...a);
+export const writeServerConfig = (...a) => backend.writeServerConfig(...a);
+export const updateServerConfig = (...a) => backend.updateServerConfig(...a);
+export const updateServerLastAdAt = (...a) => backend.updateServerLastAdAt(...a);
+export const deleteServer = (...a) => backend.deleteServer(...a);
+
+// ---------- Reddit accounts (registry entries only; lib/accounts.js adds the env account) ----------
+export const listAccounts = (...a) => backend.listAccounts(...a);
+export const getAccount = (...a) => backend.getAccount(...a);
+export const upsertAccount = (...a) => backend.upsertAccount(...a);
+export const deleteAccount = (...a) => backend.deleteAccount(...a);
 
 // ---------- Subreddit list (live) ----------
-export function listSubreddits(dataDir, serverKey) {
-    const { subsPath } = getServerPaths(dataDir, serverKey);
-    return readJSON(subsPath, []);
-}
-export function upsertSubreddit(dataDir, serverKey, entry) {
-    const { subsPath } = getServerPaths(dataDir, serverKey);
-    const list = readJSON(subsPath, []);
-    const key = entry.key || entry.subreddit;
-    const ix = list.findIndex(e => (e.key || e.subreddit) === key);
-    if (ix >= 0) list[ix] = entry; else list.push(entry);
-    writeJSON(subsPath, list);
-}
-export function deleteSubreddit(dataDir, serverKey, keyOrSubreddit) {
-    const { subsPath } = getServerPaths(dataDir, serverKey);
-    const list = readJSON(subsPath, []);
-    const next = list.filter(e => (e.key || e.subreddit) !== keyOrSubreddit);
-    writeJSON(subsPath, next);
-}
+export const listSubreddits = (...a) => backend.listSubreddits(...a);
+export const upsertSubreddit = (...a) => backend.upsertSubreddit(...a);
+// Locked edit of one entry; returns the updated entry or null when the key is unknown.
+export const updateSubreddit = (...a) => backend.updateSubreddit(...a);
+export const deleteSubreddit = (...a) => backend.deleteSubreddit(...a);
+
+// ---------- Cooldowns (subreddit key -> epoch ms of last post) ----------
+export const readCooldowns = (...a) => backend.readCooldowns(...a);
+export const setCooldown = (...a) => backend.setCooldown(...a);
 
 // ---------- Queue (staging/templates) ----------
-export function listQueue(dataDir, serverKey) {
-    const { queuePath } = getServerPaths(dataDir, serverKey);
-    return readJSON(queuePath, []);
-}
-export function enqueueTemplate(dataDir, serverKey, entry) {
-    const { queuePath } = getServerPaths(dataDir, serverKey);
-    const list = readJSON(queuePath, []);
-    const key = entry.key || entry.subreddit;
-    const ix = list.findIndex(e => (e.key || e.subreddit) === key);
-    if (ix >= 0) list[ix] = entry; else list.push(entry);
-    writeJSON(queuePath, list);
-}
-export function dequeueTemplate(dataDir, serverKey, keyOrSubreddit) {
-    const { queuePath } = getServerPaths(dataDir, serverKey);
-    const list = readJSON(queuePath, []);
-    const [item] = list.filter(e => (e.key || e.subreddit) === keyOrSubreddit);
-    const next = list.filter(e => (e.key || e.subreddit) !== keyOrSubreddit);
-    writeJSON(queuePath, next);
-    return item || null;
-}
+export const listQueue = (...a) => backend.listQueue(...a);
+export const enqueueTemplate = (...a) => backend.enqueueTemplate(...a);
+export const dequeueTemplate = (...a) => backend.dequeueTemplate(...a);
 
 // ---------- Discovery helpers ----------
 export function findServersWithSubreddit(dataDir, subreddit, excludeServerKey) {
@@ -162,41 +84,37 @@ export function getSubredditFromServer(dataDir, serverKey, subreddit) {
 }
 
 // ---------- Posted-tracking (for removal monitor) ----------
-export function getPostedPath(dataDir, serverKey) {
-    const { postedPath } = getServerPaths(dataDir, serverKey);
-    return postedPath;
-}
-export function appendPostedRecord(dataDir, serverKey, record) {
-    const { postedPath } = getServerPaths(dataDir, serverKey);
-    const list = readJSON(postedPath, []);
-    list.push(record);
-    writeJSON(postedPath, list);
-}
-export function listPostedRecords(dataDir, serverKey) {
-    const { postedPath } = getServerPaths(dataDir, serverKey);
-    return readJSON(postedPath, []);
-}
-export function writePostedRecords(dataDir, serverKey, list) {
-    const { postedPath } = getServerPaths(dataDir, serverKey);
-    writeJSON(postedPath, list);
-}
+export const appendPostedRecord = (...a) => backend.appendPostedRecord(...a);
+export const listPostedRecords = (...a) => backend.listPostedRecords(...a);
+export const writePostedRecords = (...a) => backend.writePostedRecords(...a);
+// Locked edit of the current records; use this instead of writing back a list read earlier,
+// which would drop records appended in the meantime.
+export const updatePostedRecords = (...a) => backend.updatePostedRecords(...a);
 
-// ---------- Global schedules (auto-post after throttle) ----------
-export function schedulesPath(dataDir) {
-    return path.join(dataDir, 'schedules.json');
-}
-export function listSchedules(dataDir) {
-    return readJSON(schedulesPath(dataDir), []);
-}
-export function addSchedule(dataDir, { serverKey, whenMs, reason = 'throttled' }) {
-    const id = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
-    const entry = { id, serverKey, whenMs, reason, createdMs: Date.now() };
-    const list = listSchedules(dataDir);
-    list.push(entry);
-    writeJSON(schedulesPath(dataDir), list);
-    return entry;
-}
-export function removeSchedule(dataDir, id) {
-    const list = listSchedules(dataDir).filter(s => s.id !== id);
-    writeJSON(schedulesPath(dataDir), list);
-}
+// ---------- Global schedules (auto-post after throttle / cooldown, recurring) ----------
+// Entry shape and states: see storage/common.js.
+export const listSchedules = (...a) => backend.listSchedules(...a);
+export const getSchedule = (...a) => backend.getSchedule(...a);
+export const addSchedule = (...a) => backend.addSchedule(...a);
+// One pending entry per server+subreddit: keep the earlier time (a run that fires early just re-schedules).
+export const scheduleSubreddit = (...a) => backend.scheduleSubreddit(...a);
+// Shallow patch; returns the updated entry or null when the id is unknown.
+export const updateSchedule = (...a) => backend.updateSchedule(...a);
+export const removeSchedule = (...a) => backend.removeSchedule(...a);
+// Drop done/failed entries that finished before cutoffMs.
+export const pruneFinishedSchedules = (...a) => backend.pruneFinishedSchedules(...a);
+
+// ---------- Schedule history (one record per fired entry) ----------
+export const appendScheduleHistory = (...a) => backend.appendScheduleHistory(...a);
+// Newest first.
+export const listScheduleHistory = (...a) => backend.listScheduleHistory(...a);
+
+// ---------- Session locks (one live advertise session per server and per Reddit account) ----------
+// Visible to every process on the data dir and kept across restarts. A lock holds until it is
+// released or its lease, renewed by the running session, runs out.
+export const listSessionLocks = (...a) => backend.listSessionLocks(...a);
+// Returns { lock, expired } when taken, or { conflict } with the live lock in the way.
+export const acquireSessionLock = (...a) => backend.acquireSessionLock(...a);
+// False when the lock is gone (released, or expired and taken over).
+export const renewSessionLock = (...a) => backend.renewSessionLock(...a);
+export const releaseSessionLock = (...a) => backend.releaseSessionLock(...a);
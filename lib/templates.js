@@ -0,0 +1,120 @@
+// Post templates for title, body, url and gallery captions, rendered once per submission.
+//
+//   {{name}}        variable: server.name, server.key, invite, subreddit, date (UTC, YYYY-MM-DD)
+//                   or a custom one from `variables` in server.json ({ "tagline": "..." })
+//   {a|b|c}         spintax: one option is picked at random; groups nest ({Join|Hop into} {us|{{server.name}}})
+//
+// Braces without a `|` inside are left as they are. A variable that is not defined, or is empty,
+// stays in the text and is reported as unresolved (validation rule template_unresolved).
+
+export const BUILTIN_VARIABLES = ['server.name', 'server.key', 'invite', 'subreddit', 'date'];
+export const TEMPLATE_FIELDS = ['title', 'body', 'url', 'flair_text'];
+const GALLERY_TEMPLATE_FIELDS = ['caption', 'outboundUrl'];
+
+const VAR_RE = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+const CUSTOM_NAME_RE = /^[A-Za-z_]\w*$/;
+
+export function isValidVariableName(name) {
+  return CUSTOM_NAME_RE.test(name) && !BUILTIN_VARIABLES.includes(name);
+}
+
+export function templateVariables({ serverKey, serverName, invite, subreddit, custom = {}, now = new Date() }) {
+  return {
+    ...custom,
+    'server.name': serverName || serverKey,
+    'server.key': serverKey,
+    invite: invite || '',
+    subreddit,
+    date: now.toISOString().slice(0, 10)
+  };
+}
+
+// True when the text places {{name}} itself (e.g. the invite), so nothing needs appending.
+export function usesVariable(text, name) {
+  for (const m of String(text || '').matchAll(VAR_RE)) if (m[1] === name) return true;
+  return false;
+}
+
+// Index of the `}` closing the group opened at `open`, or -1.
+function closingBrace(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function splitOptions(inner) {
+  const options = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] === '{') depth++;
+    else if (inner[i] === '}') depth--;
+    else if (inner[i] === '|' && depth === 0) {
+      options.push(inner.slice(start, i));
+      start = i + 1;
+    }
+  }
+  options.push(inner.slice(start));
+  return options;
+}
+
+export function spin(text, random = Math.random) {
+  const s = String(text ?? '');
+  let out = '';
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '{' && s[i + 1] === '{') {
+      const end = s.indexOf('}}', i + 2);
+      if (end >= 0) {
+        out += s.slice(i, end + 2);
+        i = end + 1;
+        continue;
+      }
+    }
+    if (s[i] === '{') {
+      const close = closingBrace(s, i);
+      const options = close > 0 ? splitOptions(s.slice(i + 1, close)) : [];
+      if (options.length > 1) {
+        out += spin(options[Math.floor(random() * options.length)], random);
+        i = close;
+        continue;
+      }
+    }
+    out += s[i];
+  }
+  return out;
+}
+
+// Returns { text, unresolved: [names] }.
+export function renderTemplate(text, vars, random = Math.random) {
+  const unresolved = [];
+  const out = spin(text, random).replace(VAR_RE, (m, name) => {
+    const v = vars[name];
+    if (v === undefined || v === null || v === '') {
+      unresolved.push(name);
+      return m;
+    }
+    return spin(String(v), random);
+  });
+  return { text: out, unresolved };
+}
+
+// Render the template fields of a post. Returns { post, unresolved: [unique names] }.
+export function renderPost(post, vars, random = Math.random) {
+  const unresolved = new Set();
+  const renderFields = (obj, fields) => {
+    const out = { ...obj };
+    for (const f of fields) {
+      if (typeof out[f] !== 'string' || !out[f]) continue;
+      const r = renderTemplate(out[f], vars, random);
+      out[f] = r.text;
+      r.unresolved.forEach(n => unresolved.add(n));
+    }
+    return out;
+  };
+  const out = renderFields(post, TEMPLATE_FIELDS);
+  if (Array.isArray(out.images)) out.images = out.images.map(img => renderFields(img, GALLERY_TEMPLATE_FIELDS));
+  return { post: out, unresolved: [...unresolved] };
+}
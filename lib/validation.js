@@ -0,0 +1,307 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { findInvalidInvite } from './discord.js';
+import { mediaProblems } from './media.js';
+import { requirementProblems } from './requirements.js';
+
+// Post validation rule registry.
+//
+// A rule is { code, severity, message, check(post, rules, ctx) }:
+// - code: stable identifier reported to callers and Squire
+// - severity: 'error' blocks the submission, 'warning' is only reported
+// - check: returns nothing when the post is fine; true (use `message`) or a
+//   string (specific message) when it is not. May be async.
+//
+// Custom rules live in <data>/rules/*.js|*.mjs and default-export a rule or an array of rules.
+// A code that is already registered is refused unless the new rule sets `override: true`.
+
+const SEVERITIES = ['error', 'warning'];
+const registry = new Map();
+
+export const TITLE_MAX_LENGTH = 300;
+export const BODY_MAX_LENGTH = 40000;
+
+export function registerRule(rule, source = 'builtin') {
+  if (!rule || typeof rule.code !== 'string' || !rule.code) throw new Error(`${source}: rule code required`);
+  if (!SEVERITIES.includes(rule.severity)) throw new Error(`${source}: rule ${rule.code} severity must be error or warning`);
+  if (typeof rule.check !== 'function') throw new Error(`${source}: rule ${rule.code} check must be a function`);
+  const existing = registry.get(rule.code);
+  if (existing && rule.override !== true) {
+    throw new Error(`${source}: rule ${rule.code} is already registered (${existing.source}); set override: true to replace it`);
+  }
+  registry.set(rule.code, { message: rule.code, ...rule, source });
+}
+
+export function listRules() {
+  return [...registry.values()].map(({ code, severity, message, source }) => ({ code, severity, message, source }));
+}
+
+export async function validatePost(post, rules = {}, ctx = {}) {
+  const errors = [];
+  const warnings = [];
+  for (const rule of registry.values()) {
+    let outcome;
+    try {
+      outcome = await rule.check(post, rules, ctx);
+    } catch (e) {
+      // a broken rule must not wave the post through
+      errors.push({ code: 'rule_failed', message: `rule ${rule.code} threw: ${e.message}` });
+      continue;
+    }
+    if (!outcome) continue;
+    const issue = { code: rule.code, message: typeof outcome === 'string' ? outcome : rule.message };
+    (rule.severity === 'error' ? errors : warnings).push(issue);
+  }
+  return { errors, warnings };
+}
+
+// Loaded once at startup; a broken file is reported and skipped.
+export async function loadCustomRules(dir) {
+  if (!fs.existsSync(dir)) return { loaded: [], failed: [] };
+  const loaded = [];
+  const failed = [];
+  const files = fs.readdirSync(dir).filter(f => /\.m?js$/.test(f)).sort();
+  for (const f of files) {
+    const file = path.join(dir, f);
+    try {
+      const mod = await import(pathToFileURL(file).href);
+      const rules = [].concat(mod.default || []);
+      for (const r of rules) {
+        registerRule(r, f);
+        loaded.push(r.code);
+      }
+    } catch (e) {
+      failed.push({ file: f, error: e.message });
+    }
+  }
+  return { loaded, failed };
+}
+
+// ---- helpers ----
+const INVITE_RE = /(discord\.gg|discord(app)?\.com\/invite)\//i;
+const LINK_RE = /(https?:\/\/|www\.|discord\.gg\/|discord(app)?\.com\/invite\/)/i;
+const URL_RE = /https?:\/\/[^\s)\]>"']+/gi;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function findKeywords(text, words) {
+  const hay = String(text || '').toLowerCase();
+  return words.filter(w => new RegExp(`(^|[^a-z0-9])${escapeRegExp(w)}([^a-z0-9]|$)`).test(hay));
+}
+
+export function hasInvite(text) {
+  return INVITE_RE.test(String(text || ''));
+}
+
+const galleryLinks = (post) => post.type === 'gallery' ? (post.images || []).map(i => i?.outboundUrl).filter(Boolean) : [];
+
+// Hostnames of every URL in the post (link url, gallery outbound urls and any in the body).
+export function postDomains(post) {
+  const urls = [post.url, ...galleryLinks(post), ...(String(post.body || '').match(URL_RE) || [])].filter(Boolean);
+  const hosts = [];
+  for (const u of urls) {
+    try { hosts.push(new URL(u).hostname.toLowerCase().replace(/^www\./, '')); } catch {}
+  }
+  return [...new Set(hosts)];
+}
+
+function domainMatches(host, domain) {
+  const d = domain.toLowerCase().replace(/^www\./, '');
+  return host === d || host.endsWith(`.${d}`);
+}
+
+const bodyText = (post) => String(post.body || '').trim();
+const allText = (post) => `${post.title || ''}\n${post.body || ''}`;
+
+// ---- built-in rules ----
+registerRule({
+  code: 'title_required', severity: 'error', message: 'title is required',
+  check: (post) => !post.title
+});
+
+// ctx.unresolvedVariables: {{names}} the post uses that nothing defines (lib/templates.js).
+registerRule({
+  code: 'template_unresolved', severity: 'error', message: 'post template has unresolved variables',
+  check: (post, rules, ctx) => {
+    const names = ctx.unresolvedVariables || [];
+    if (names.length) return `unresolved template variable(s): ${names.map(n => `{{${n}}}`).join(', ')}`;
+  }
+});
+
+// ctx.postRequirements: the subreddit's moderator-published requirements (lib/requirements.js),
+// null when they could not be fetched.
+registerRule({
+  code: 'post_requirements', severity: 'error', message: 'post does not meet the subreddit\'s post requirements',
+  check: (post, rules, ctx) => {
+    const problems = requirementProblems(post, ctx.postRequirements);
+    if (problems.length) return `r/${ctx.subreddit || '?'} requires: ${problems.join('; ')}`;
+  }
+});
+
+registerRule({
+  code: 'title_too_long', severity: 'error', message: `title must be at most ${TITLE_MAX_LENGTH} characters`,
+  check: (post) => String(post.title || '').length > TITLE_MAX_LENGTH
+});
+
+registerRule({
+  code: 'unsupported_type', severity: 'error', message: 'unsupported post type',
+  check: (post) => !['self', 'link', 'image', 'gallery', 'crosspost'].includes(post.type)
+});
+
+registerRule({
+  code: 'crosspost_source_missing', severity: 'error', message: 'crosspost entries need crosspostOf (the entry whose post they crosspost)',
+  check: (post) => post.type === 'crosspost' && !String(post.crosspostOf || '').trim()
+});
+
+// ctx.mediaDir: the server's media folder (lib/media.js).
+registerRule({
+  code: 'media_invalid', severity: 'error', message: 'image or gallery media is missing or unusable',
+  check: (post, rules, ctx) => {
+    if (!['image', 'gallery'].includes(post.type)) return;
+    const problems = mediaProblems(post, ctx.mediaDir);
+    if (problems.length) return problems.join('; ');
+  }
+});
+
+registerRule({
+  code: 'body_required', severity: 'error', message: 'body is required for self posts',
+  check: (post) => post.type === 'self' && !post.body
+});
+
+registerRule({
+  code: 'url_required', severity: 'error', message: 'url is required for link posts',
+  check: (post) => post.type === 'link' && !post.url
+});
+
+registerRule({
+  code: 'body_too_short', severity: 'error', message: 'body is too short',
+  check: (post, rules) => {
+    if (post.type !== 'self' || !Number.isFinite(rules.minBodyLength)) return;
+    const len = bodyText(post).length;
+    if (len < rules.minBodyLength) return `body must be at least ${rules.minBodyLength} characters (has ${len})`;
+  }
+});
+
+registerRule({
+  code: 'body_too_long', severity: 'error', message: 'body is too long',
+  check: (post, rules) => {
+    if (post.type !== 'self') return;
+    const max = Number.isFinite(rules.maxBodyLength) ? rules.maxBodyLength : BODY_MAX_LENGTH;
+    const len = bodyText(post).length;
+    if (len > max) return `body must be at most ${max} characters (has ${len})`;
+  }
+});
+
+registerRule({
+  code: 'invite_missing', severity: 'error', message: 'permanent invite link required',
+  check: (post, rules) => {
+    if (rules.requirePermanentInvite === false) return;
+    if (post.type === 'self' && post.body && !hasInvite(post.body)) return 'permanent invite link required in body';
+    if (post.type === 'link' && post.url && !hasInvite(post.url)) return 'permanent invite link required as link URL';
+    // image posts have no link slot; the invite goes in a comment or the subreddit allows none
+    if (post.type === 'gallery' && !galleryLinks(post).some(hasInvite)) return 'permanent invite link required as a gallery outbound URL';
+  }
+});
+
+// Resolves the post's invites with Discord (cached, lib/discord.js); ctx.guildId is the server's guild.
+registerRule({
+  code: 'invite_invalid', severity: 'error', message: 'invite is expired, temporary or leads elsewhere',
+  check: async (post, rules, ctx) => {
+    const bad = await findInvalidInvite([post.url, ...galleryLinks(post), post.body].filter(Boolean).join('\n'), { guildId: ctx.guildId });
+    if (bad) return bad.message;
+  }
+});
+
+registerRule({
+  code: 'invite_in_title', severity: 'error', message: 'invite link not allowed in the title; put it in the body or URL',
+  check: (post) => hasInvite(post.title)
+});
+
+registerRule({
+  code: 'link_in_title', severity: 'error', message: 'links are not allowed in the title',
+  check: (post, rules) => rules.disallowLinkInTitle && LINK_RE.test(post.title || '')
+});
+
+const CONTENT_KEYWORDS = [
+  ['disallowNSFW',      'content_nsfw',      ['nsfw', '18+', 'porn', 'hentai', 'nudes', 'onlyfans', 'lewd', 'erotic']],
+  ['disallowHate',      'content_hate',      ['nazi', 'white power', 'kkk', 'hate speech', 'racist']],
+  ['disallowScam',      'content_scam',      ['free nitro', 'nitro giveaway', 'crypto giveaway', 'airdrop', 'double your money']],
+  ['disallowSubstance', 'content_substance', ['weed', 'cannabis', 'drugs', 'cocaine', 'lsd', 'psychedelics']],
+  ['disallowWeapon',    'content_weapon',    ['guns', 'firearms', 'ammo', 'weapons']],
+  ['disallowHacks',     'content_hacks',     ['hacks', 'cheats', 'aimbot', 'cracked', 'exploits']],
+  ['disallowIDGated',   'content_id_gated',  ['id verification', 'verify your id', 'age verification', 'id required', 'age-gated', 'age gated']]
+];
+
+for (const [flag, code, words] of CONTENT_KEYWORDS) {
+  registerRule({
+    code, severity: 'error', message: `disallowed content (${flag})`,
+    check: (post, rules) => {
+      if (!rules[flag]) return;
+      const hits = findKeywords(allText(post), words);
+      if (hits.length) return `disallowed content (${flag}): ${hits.join(', ')}`;
+    }
+  });
+}
+
+registerRule({
+  code: 'domain_denied', severity: 'error', message: 'post links to a denied domain',
+  check: (post, rules) => {
+    if (!rules.deniedDomains?.length) return;
+    const bad = postDomains(post).filter(h => rules.deniedDomains.some(d => domainMatches(h, d)));
+    if (bad.length) return `post links to denied domain(s): ${bad.join(', ')}`;
+  }
+});
+
+registerRule({
+  code: 'domain_not_allowed', severity: 'error', message: 'post links to a domain outside the allow list',
+  check: (post, rules) => {
+    if (!rules.allowedDomains?.length) return;
+    const bad = postDomains(post).filter(h => !rules.allowedDomains.some(d => domainMatches(h, d)));
+    if (bad.length) return `post links to domain(s) outside the allow list: ${bad.join(', ')}`;
+  }
+});
+
+// Reddit's spam filter often catches shortened links; reported, not blocking.
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'is.gd', 'ow.ly', 'cutt.ly', 'rebrand.ly', 'shorturl.at'];
+
+registerRule({
+  code: 'url_shortener', severity: 'warning', message: 'shortened links are often spam-filtered',
+  check: (post) => {
+    const hits = postDomains(post).filter(h => URL_SHORTENERS.some(d => domainMatches(h, d)));
+    if (hits.length) return `shortened link(s) are often spam-filtered: ${hits.join(', ')}`;
+  }
+});
+
+// ctx.karma: number when known, null when the lookup failed.
+registerRule({
+  code: 'karma_unknown', severity: 'error', message: 'account karma could not be verified',
+  check: (post, rules, ctx) => {
+    if (!Number.isFinite(rules.karmaRequired)) return;
+    if (ctx.karma === null || ctx.karma === undefined) return `account karma could not be verified (needs ${rules.karmaRequired})`;
+  }
+});
+
+registerRule({
+  code: 'karma_too_low', severity: 'error', message: 'account karma is below the subreddit requirement',
+  check: (post, rules, ctx) => {
+    if (!Number.isFinite(rules.karmaRequired) || !Number.isFinite(ctx.karma)) return;
+    if (ctx.karma < rules.karmaRequired) return `account karma ${ctx.karma} is below required ${rules.karmaRequired}`;
+  }
+});
+
+// ctx.accountAgeDays: whole days since the account was created, null when the lookup failed.
+registerRule({
+  code: 'account_too_new', severity: 'error', message: 'account is younger than the subreddit requires',
+  check: (post, rules, ctx) => {
+    if (!Number.isFinite(rules.minAccountAgeDays)) return;
+    if (ctx.accountAgeDays === null || ctx.accountAgeDays === undefined) {
+      return `account age could not be verified (needs ${rules.minAccountAgeDays} days)`;
+    }
+    if (ctx.accountAgeDays < rules.minAccountAgeDays) {
+      return `account is ${ctx.accountAgeDays} days old, below the required ${rules.minAccountAgeDays}`;
+    }
+  }
+});
@@ -0,0 +1,122 @@
+// A/B post variants of a subreddit entry.
+//
+// entry.variants: [{ id, title?, body?, url?, image?, flair_id?, flair_text?, weight? }]. A variant overrides
+// the fields it sets on entry.post (type and anything it leaves empty come from the post).
+// entry.variantStrategy picks the variant for each submission:
+//   round_robin  (default) the one after the variant posted last
+//   weighted     random, proportional to `weight` (default 1)
+//   best         each variant is tried BEST_MIN_SAMPLES times first, then the one with the lowest
+//                removal rate wins, higher average score breaking ties
+// A variant with weight 0 is kept (with its stats) but never picked.
+// Outcomes come from the posted records: `variant` is set at submit time, `metrics` and
+// status/removal by the removal monitor. Records belong to the entry named by their `entryKey`, so
+// two entries posting to the same subreddit keep separate stats; older records without one count
+// for the entry keyed by the subreddit name (the default key).
+
+export const VARIANT_STRATEGIES = ['round_robin', 'weighted', 'best'];
+export const VARIANT_FIELDS = ['title', 'body', 'url', 'image', 'flair_id', 'flair_text'];
+export const BEST_MIN_SAMPLES = 3;
+
+export function variantStrategy(entry) {
+  return VARIANT_STRATEGIES.includes(entry?.variantStrategy) ? entry.variantStrategy : 'round_robin';
+}
+
+export function hasVariants(entry) {
+  return Array.isArray(entry?.variants) && entry.variants.length > 0;
+}
+
+// a, b, ... z, then v27, v28, ...
+export function nextVariantId(variants = []) {
+  const used = new Set(variants.map(v => v.id));
+  for (let i = 0; ; i++) {
+    const id = i < 26 ? String.fromCharCode(97 + i) : `v${i + 1}`;
+    if (!used.has(id)) return id;
+  }
+}
+
+export function applyVariant(post, variant) {
+  if (!variant) return post;
+  const out = { ...post };
+  for (const f of VARIANT_FIELDS) {
+    if (typeof variant[f] === 'string' && variant[f] !== '') out[f] = variant[f];
+  }
+  // a variant flair comes with its own text, even none
+  if (variant.flair_id) out.flair_text = variant.flair_text || '';
+  return out;
+}
+
+const recordsOf = (entry, records) => {
+  const key = entry.key || entry.subreddit;
+  return records.filter(r => r.variant && (r.entryKey ?? r.subreddit) === key);
+};
+const mean = (xs) => xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+
+// Per-variant outcome summary, in the entry's variant order.
+export function variantStats(entry, records = []) {
+  const mine = recordsOf(entry, records);
+  return (entry.variants || []).map(v => {
+    const rs = mine.filter(r => r.variant === v.id);
+    const removed = rs.filter(r => r.status === 'removed').length;
+    const measured = rs.map(r => r.metrics).filter(Boolean);
+    return {
+      id: v.id,
+      title: v.title || entry.post?.title || '',
+      weight: v.weight ?? 1,
+      posts: rs.length,
+      live: rs.filter(r => r.status === 'live').length,
+      removed,
+      removalRate: rs.length ? removed / rs.length : null,
+      avgScore: mean(measured.map(m => Number(m.score) || 0)),
+      avgUpvoteRatio: mean(measured.map(m => Number(m.upvoteRatio) || 0)),
+      avgComments: mean(measured.map(m => Number(m.numComments) || 0))
+    };
+  });
+}
+
+const weightOf = (v) => Math.max(0, Number(v.weight ?? 1) || 0);
+
+function pickRoundRobin(entry, active, records) {
+  const last = recordsOf(entry, records).sort((a, b) => (a.createdUtc || 0) - (b.createdUtc || 0)).pop();
+  const ix = last ? active.findIndex(v => v.id === last.variant) : -1;
+  return active[(ix + 1) % active.length];
+}
+
+function pickWeighted(active, random) {
+  let r = random() * active.reduce((a, v) => a + weightOf(v), 0);
+  for (const v of active) {
+    if ((r -= weightOf(v)) < 0) return v;
+  }
+  return active[active.length - 1];
+}
+
+function pickBest(entry, active, records) {
+  const stats = variantStats({ ...entry, variants: active }, records);
+  const byId = new Map(active.map(v => [v.id, v]));
+  const untried = stats.filter(s => s.posts < BEST_MIN_SAMPLES).sort((a, b) => a.posts - b.posts);
+  if (untried.length) return byId.get(untried[0].id);
+  const ranked = [...stats].sort((a, b) => (a.removalRate - b.removalRate) || ((b.avgScore ?? 0) - (a.avgScore ?? 0)));
+  return byId.get(ranked[0].id);
+}
+
+// The pickable variant after `id` in list order (wrapping), or null when there is no other.
+export function variantAfter(entry, id) {
+  if (!hasVariants(entry)) return null;
+  const ix = entry.variants.findIndex(v => v.id === id);
+  for (let i = 1; i < entry.variants.length; i++) {
+    const v = entry.variants[(ix + i + entry.variants.length) % entry.variants.length];
+    if (v.id !== id && weightOf(v) > 0) return v;
+  }
+  return null;
+}
+
+// The variant to post next, or null when the entry has none (or all are weighted 0);
+// the post is then used as it is.
+export function pickVariant(entry, records = [], random = Math.random) {
+  if (!hasVariants(entry)) return null;
+  const active = entry.variants.filter(v => weightOf(v) > 0);
+  if (!active.length) return null;
+  const strategy = variantStrategy(entry);
+  if (strategy === 'weighted') return pickWeighted(active, random);
+  if (strategy === 'best') return pickBest(entry, active, records);
+  return pickRoundRobin(entry, active, records);
+}